@@ -1,48 +1,168 @@
 #!/usr/bin/env node
 
 const axios = require('axios');
+const crypto = require('crypto');
 const fs = require('fs');
+const http = require('http');
 const path = require('path');
 const Database = require('better-sqlite3');
 
+// Notifier settings: NOTIFY_<PREFIX>_URL plus optional _EVENTS (comma-separated), _BATCH_SECONDS and _TOKEN
+function notifierConfig(prefix) {
+  const env = key => process.env[`NOTIFY_${prefix}_${key}`];
+  const events = env('EVENTS');
+  const batchSeconds = env('BATCH_SECONDS');
+  return {
+    url: env('URL') || '',
+    events: events ? events.toLowerCase().split(',').map(s => s.trim()).filter(Boolean) : null, // null = all events
+    batchMs: batchSeconds !== undefined ? parseInt(batchSeconds) * 1000 : null, // null = NOTIFY_BATCH_SECONDS
+    token: env('TOKEN') || ''
+  };
+}
+
+// *arr instances: the default instance reads <APP>_* variables; extra instances are listed in
+// <APP>_INSTANCES (e.g. RADARR_INSTANCES=radarr-4k) and read variables prefixed with their own
+// name (RADARR_4K_URL, RADARR_4K_API_KEY, ...)
+function arrInstances(app, defaults) {
+  const prefix = app.toUpperCase();
+  const instances = [arrInstanceConfig(app, prefix, defaults)];
+
+  const extraNames = (process.env[`${prefix}_INSTANCES`] || '').split(',').map(s => s.trim()).filter(Boolean);
+  for (const name of extraNames) {
+    const instancePrefix = name.toUpperCase().replace(/[^A-Z0-9]+/g, '_');
+    instances.push(arrInstanceConfig(name, instancePrefix, {
+      mountPath: defaults.mountPath,
+      dbPath: defaults.dbPath ? `/config/${name.toLowerCase()}/${path.basename(defaults.dbPath)}` : undefined,
+      categories: name.toLowerCase(),
+      enabled: true
+    }));
+  }
+  return instances;
+}
+
+function arrInstanceConfig(name, prefix, defaults) {
+  const env = key => process.env[`${prefix}_${key}`];
+  return {
+    name,
+    enabled: env('ENABLED') !== undefined ? env('ENABLED') === 'true' : !!defaults.enabled,
+    url: env('URL'),
+    apiKey: env('API_KEY'),
+    mountPath: env('MOUNT_PATH') || defaults.mountPath,
+    historySource: (env('HISTORY_SOURCE') || process.env.HISTORY_SOURCE || 'nzbdav').toLowerCase(),
+    ...(defaults.dbPath ? { dbPath: env('DB_PATH') || defaults.dbPath } : {}),
+    categories: (env('CATEGORIES') || defaults.categories).toLowerCase().split(',').map(s => s.trim())
+  };
+}
+
 // Configuration from environment variables
 const CONFIG = {
   nzbdav: {
     url: process.env.NZBDAV_URL,
-    apiKey: process.env.NZBDAV_API_KEY
+    apiKey: process.env.NZBDAV_API_KEY,
+    historyLimit: parseInt(process.env.NZBDAV_HISTORY_LIMIT || '50'), // 0 = whole history
+    pageSize: parseInt(process.env.NZBDAV_HISTORY_PAGE_SIZE || '50'),
+    timeoutMs: parseInt(process.env.NZBDAV_TIMEOUT_SECONDS || '30') * 1000
+  },
+  sabnzbd: {
+    url: process.env.SABNZBD_URL,
+    apiKey: process.env.SABNZBD_API_KEY,
+    historyLimit: parseInt(process.env.SABNZBD_HISTORY_LIMIT || '50'), // 0 = whole history
+    pageSize: parseInt(process.env.SABNZBD_HISTORY_PAGE_SIZE || '50'),
+    timeoutMs: parseInt(process.env.SABNZBD_TIMEOUT_SECONDS || '30') * 1000
   },
-  radarr: {
-    enabled: process.env.RADARR_ENABLED === 'true',
-    url: process.env.RADARR_URL,
-    apiKey: process.env.RADARR_API_KEY,
-    mountPath: process.env.RADARR_MOUNT_PATH || '/mnt/nzbdav/content/movies',
-    categories: (process.env.RADARR_CATEGORIES || 'movies').toLowerCase().split(',').map(s => s.trim())
+  nzbget: {
+    url: process.env.NZBGET_URL,
+    username: process.env.NZBGET_USERNAME || '',
+    password: process.env.NZBGET_PASSWORD || '',
+    timeoutMs: parseInt(process.env.NZBGET_TIMEOUT_SECONDS || '30') * 1000
   },
-  sonarr: {
-    enabled: process.env.SONARR_ENABLED === 'true',
-    url: process.env.SONARR_URL,
-    apiKey: process.env.SONARR_API_KEY,
-    mountPath: process.env.SONARR_MOUNT_PATH || '/mnt/nzbdav/content/tv',
-    dbPath: process.env.SONARR_DB_PATH || '/config/sonarr/sonarr.db',
-    categories: (process.env.SONARR_CATEGORIES || 'tv').toLowerCase().split(',').map(s => s.trim())
+  historySinceLastPoll: process.env.HISTORY_SINCE_LAST_POLL === 'true',
+  blocklistIncomplete: process.env.BLOCKLIST_INCOMPLETE !== 'false',
+  validateMediaFiles: process.env.VALIDATE_MEDIA_FILES !== 'false',
+  markFailedDownloads: process.env.MARK_FAILED_DOWNLOADS === 'true',
+  matchSpecialsByTitle: process.env.MATCH_SPECIALS_BY_TITLE !== 'false',
+  directorySource: {
+    maxAgeMs: parseInt(process.env.DIRECTORY_MAX_AGE_HOURS || '24') * 60 * 60 * 1000 // 0 = every folder
   },
-  lidarr: {
-    enabled: process.env.LIDARR_ENABLED === 'true',
-    url: process.env.LIDARR_URL,
-    apiKey: process.env.LIDARR_API_KEY,
-    mountPath: process.env.LIDARR_MOUNT_PATH || '/mnt/nzbdav/content/music',
-    dbPath: process.env.LIDARR_DB_PATH || '/config/lidarr/lidarr.db',
-    categories: (process.env.LIDARR_CATEGORIES || 'music').toLowerCase().split(',').map(s => s.trim())
+  radarr: arrInstances('Radarr', {
+    mountPath: '/mnt/nzbdav/content/movies',
+    categories: 'movies'
+  }),
+  sonarr: arrInstances('Sonarr', {
+    mountPath: '/mnt/nzbdav/content/tv',
+    dbPath: '/config/sonarr/sonarr.db',
+    categories: 'tv'
+  }),
+  lidarr: arrInstances('Lidarr', {
+    mountPath: '/mnt/nzbdav/content/music',
+    dbPath: '/config/lidarr/lidarr.db',
+    categories: 'music'
+  }),
+  readarr: arrInstances('Readarr', {
+    mountPath: '/mnt/nzbdav/content/books',
+    dbPath: '/config/readarr/readarr.db',
+    categories: 'books,audiobooks'
+  }),
+  http: {
+    port: parseInt(process.env.HTTP_PORT || '9595')
+  },
+  metrics: {
+    enabled: process.env.METRICS_ENABLED === 'true'
+  },
+  health: {
+    enabled: process.env.HEALTH_ENABLED === 'true'
+  },
+  webhook: {
+    enabled: process.env.WEBHOOK_ENABLED === 'true',
+    secret: process.env.WEBHOOK_SECRET || ''
+  },
+  notifications: {
+    batchMs: parseInt(process.env.NOTIFY_BATCH_SECONDS || '60') * 1000,
+    failureThreshold: parseInt(process.env.NOTIFY_FAILURE_THRESHOLD || '3'),
+    webhook: notifierConfig('WEBHOOK'),
+    discord: notifierConfig('DISCORD'),
+    ntfy: notifierConfig('NTFY'),
+    apprise: notifierConfig('APPRISE')
+  },
+  mediaServers: {
+    plex: {
+      url: process.env.PLEX_URL || '',
+      token: process.env.PLEX_TOKEN || '',
+      pathMap: process.env.PLEX_PATH_MAP || ''
+    },
+    jellyfin: {
+      url: process.env.JELLYFIN_URL || '',
+      apiKey: process.env.JELLYFIN_API_KEY || '',
+      pathMap: process.env.JELLYFIN_PATH_MAP || ''
+    },
+    emby: {
+      url: process.env.EMBY_URL || '',
+      apiKey: process.env.EMBY_API_KEY || '',
+      pathMap: process.env.EMBY_PATH_MAP || ''
+    }
   },
   pollInterval: parseInt(process.env.POLL_INTERVAL_SECONDS || '60') * 1000,
   searchCooldownMs: parseInt(process.env.SEARCH_COOLDOWN_MINUTES || '1440') * 60 * 1000, // Default 24 hours
   startupGracePeriodMs: parseInt(process.env.STARTUP_GRACE_PERIOD_MINUTES || '5') * 60 * 1000, // Default 5 minutes
+  incrementalHistory: process.env.INCREMENTAL_HISTORY !== 'false',
+  historyRecheckMs: parseInt(process.env.HISTORY_RECHECK_MINUTES || '60') * 60 * 1000, // Default 1 hour
+  state: {
+    dbPath: process.env.STATE_DB_PATH || '/config/state/arr-path-fixer.db',
+    retentionMs: parseInt(process.env.STATE_RETENTION_DAYS || '30') * 24 * 60 * 60 * 1000 // Default 30 days
+  },
   dryRun: process.env.DRY_RUN === 'true'
 };
 
 // Track when the service started
 const SERVICE_START_TIME = Date.now();
 
+// Poll status, reported by the health endpoints
+const serviceStatus = {
+  lastPollAt: null,
+  lastSuccessfulPollAt: null,
+  lastPollError: null
+};
+
 const log = (service, message) => {
   const timestamp = new Date().toISOString();
   console.log(`[${timestamp}] [${service}] ${message}`);
@@ -89,6 +209,41 @@ function extractTitleWords(str) {
     .filter(word => word.length > 1); // Remove single chars
 }
 
+// Bonus material shipped alongside episodes and movies, by the skip reason logged for it
+const EXTRA_FILE_PATTERNS = [
+  ['sample', /\bsample\b/i],
+  ['trailer', /\btrailers?\b/i],
+  ['featurette', /\b(featurettes?|behind[ ._-]the[ ._-]scenes|making[ ._-]of|deleted[ ._-]scenes?|interviews?|bloopers?|gag[ ._-]reel|extras?|bonus|NC(OP|ED)\d*)\b/i]
+];
+
+// Video files below this fraction of the largest in a download rank behind it (leftover extras)
+const MIN_VIDEO_SIZE_RATIO = 0.2;
+
+// Episode numbering (S01E02, 1x02) - a name with it is an episode unless it starts or ends with
+// a sample/trailer marker, so titles like "S03E07.The.Interview" aren't taken for bonus material
+const EPISODE_NUMBER_PATTERN = /\bS\d{1,2}E\d{1,3}|(?<!\d)\d{1,2}x\d{2,3}(?!\d)/i;
+const EXTRA_AFFIX_PATTERNS = [
+  ['sample', /^sample[ ._-]|[ ._-]sample$/i],
+  ['trailer', /^trailer[ ._-]|[ ._-]trailer$/i]
+];
+
+// 'sample', 'trailer' or 'featurette' if any part of the name (a file name or a path relative
+// to the download, so "Sample/" and "Extras/" folders count) marks bonus material, else null.
+// A marker that's part of the title itself ("Trailer Park Boys", "Extras") doesn't count.
+function getExtraFileType(name, title = '') {
+  const segments = name.split(/[\\/]/);
+  segments.push(segments.pop().replace(/\.[a-z0-9]{2,4}$/i, ''));
+  for (const segment of segments) {
+    const patterns = EPISODE_NUMBER_PATTERN.test(segment) ? EXTRA_AFFIX_PATTERNS : EXTRA_FILE_PATTERNS;
+    for (const [type, pattern] of patterns) {
+      const match = segment.match(pattern);
+      const marker = match && match[0].replace(/^[ ._-]+|[ ._-]+$/g, '').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      if (match && !new RegExp(`\\b${marker}\\b`, 'i').test(title)) return type;
+    }
+  }
+  return null;
+}
+
 // Calculate match score between two sets of words (0-1)
 function calculateMatchScore(words1, words2) {
   if (words1.length === 0 || words2.length === 0) return 0;
@@ -140,6 +295,47 @@ function findBestMatch(targetTitle, targetYear, items, getTitleFn, getYearFn = n
   return { match: bestMatch, score: bestScore };
 }
 
+// Readarr book formats
+const EBOOK_EXTENSIONS = /\.(epub|mobi|azw3|pdf)$/i;
+const AUDIOBOOK_EXTENSIONS = /\.(m4b|mp3)$/i;
+const EBOOK_FORMAT_PREFERENCE = ['.epub', '.azw3', '.mobi', '.pdf'];
+
+// Readarr quality IDs by file extension
+const READARR_QUALITY_IDS = {
+  '.pdf': 1,
+  '.mobi': 2,
+  '.epub': 3,
+  '.azw3': 4,
+  '.mp3': 11,
+  '.m4b': 12
+};
+
+// Normalize a download client ID (NzbDAV nzo_id / *arr downloadId) for lookups
+function normalizeDownloadId(id) {
+  return id ? id.toString().trim().toLowerCase() : '';
+}
+
+// Extract the download ID from an NzbDAV history slot
+function getSlotDownloadId(slot) {
+  return normalizeDownloadId(slot?.nzo_id || slot?.NzoId || slot?.nzoId);
+}
+
+// Extract the completion time (unix seconds) from an NzbDAV history slot
+function getSlotCompletedAt(slot) {
+  return parseInt(slot?.completed || slot?.Completed || 0) || 0;
+}
+
+// Lowercased slot status ('completed', 'failed', ...)
+function getSlotStatus(slot) {
+  return (slot?.status || slot?.Status || '').toString().toLowerCase();
+}
+
+// Outcomes that won't change unless the slot itself changes - safe to skip on later polls
+const FINAL_OUTCOMES = new Set([
+  'registered', 'path_updated', 'path_correct', 'has_file', 'unmonitored',
+  'marked_failed', 'already_failed', 'failed_untracked'
+]);
+
 // Validate that a mount path is ready and populated (not an empty/stale VFS cache)
 function isMountReady(mountPath, minExpectedFiles = 1) {
   try {
@@ -175,942 +371,4425 @@ function isMountReady(mountPath, minExpectedFiles = 1) {
   }
 }
 
-// Check if we're still in the startup grace period
-function isInStartupGracePeriod() {
-  const elapsed = Date.now() - SERVICE_START_TIME;
-  return elapsed < CONFIG.startupGracePeriodMs;
-}
+// Bytes read from each end of a file when validating its container header
+const VALIDATION_READ_BYTES = 8192;
 
-// Generic API client for *arr services
-class ArrClient {
-  constructor(name, config, apiVersion = 'v3') {
-    this.name = name;
-    this.config = config;
-    this.apiVersion = apiVersion;
-    this.axios = axios.create({
-      baseURL: config.url,
-      headers: { 'X-Api-Key': config.apiKey }
-    });
-  }
+function readFileRange(fd, position, length) {
+  const buffer = Buffer.alloc(length);
+  const bytesRead = fs.readSync(fd, buffer, 0, length, position);
+  return buffer.subarray(0, bytesRead);
+}
 
-  async getQueue() {
-    try {
-      const response = await this.axios.get(`/api/${this.apiVersion}/queue?includeUnknownSeriesItems=true&pageSize=1000`);
-      return response.data.records || [];
-    } catch (error) {
-      log(this.name, `Error fetching queue: ${error.message}`);
-      return [];
-    }
-  }
+function isZeroFilled(buffer) {
+  return buffer.length > 0 && buffer.every(byte => byte === 0);
+}
 
-  async clearFailedQueueEntries(filterFn) {
-    try {
-      const queue = await this.getQueue();
-      const failedEntries = queue.filter(item => item.status === 'failed' && filterFn(item));
+// ID3v2 tag length (header + syncsafe size), or 0 if the buffer doesn't start with a tag
+function getId3TagLength(buffer) {
+  if (buffer.length < 10 || buffer.toString('latin1', 0, 3) !== 'ID3') return 0;
+  const size = ((buffer[6] & 0x7f) << 21) | ((buffer[7] & 0x7f) << 14) | ((buffer[8] & 0x7f) << 7) | (buffer[9] & 0x7f);
+  const footer = buffer[5] & 0x10 ? 10 : 0;
+  return 10 + size + footer;
+}
 
-      for (const entry of failedEntries) {
-        await this.removeFromQueue(entry.id);
-        log(this.name, `Cleared failed queue entry: ${entry.title}`);
-      }
+function isMp3FrameSync(buffer) {
+  return buffer.length >= 2 && buffer[0] === 0xff && (buffer[1] & 0xe0) === 0xe0;
+}
 
-      return failedEntries.length;
-    } catch (error) {
-      log(this.name, `Error clearing failed queue entries: ${error.message}`);
-      return 0;
+// Walk the top-level MP4 boxes: they must start with ftyp (or a QuickTime atom), include
+// moov and end exactly at the end of the file - a short last box means a truncated file.
+// A zero-filled end is only suspicious if the last box isn't free space.
+function validateMp4Boxes(fd, size, tailIsZero) {
+  const topLevelTypes = new Set(['ftyp', 'moov', 'mdat', 'free', 'skip', 'wide', 'uuid', 'meta', 'pdin', 'moof', 'mfra', 'styp', 'sidx', 'pnot']);
+  let offset = 0;
+  let hasMoov = false;
+  let lastType = null;
+
+  for (let i = 0; i < 256 && offset < size; i++) {
+    const header = readFileRange(fd, offset, 16);
+    if (header.length < 8) return { valid: false, reason: `truncated MP4 box header at ${offset}` };
+
+    const type = header.toString('latin1', 4, 8);
+    if (!topLevelTypes.has(type)) {
+      return { valid: false, reason: i === 0 ? 'missing ftyp header' : `unexpected MP4 box "${type}" at ${offset}` };
     }
-  }
-
-  async getItem(id, endpoint) {
-    try {
-      const response = await this.axios.get(`/api/${this.apiVersion}/${endpoint}/${id}`);
-      return response.data;
-    } catch (error) {
-      log(this.name, `Error fetching item ${id}: ${error.message}`);
-      return null;
+    if (type === 'moov') hasMoov = true;
+    lastType = type;
+
+    let boxSize = header.readUInt32BE(0);
+    if (boxSize === 1) {
+      if (header.length < 16) return { valid: false, reason: `truncated MP4 box header at ${offset}` };
+      boxSize = Number(header.readBigUInt64BE(8));
+    } else if (boxSize === 0) {
+      boxSize = size - offset; // Box runs to the end of the file
     }
-  }
-
-  async updateItem(id, endpoint, data) {
-    try {
-      const response = await this.axios.put(`/api/${this.apiVersion}/${endpoint}/${id}?moveFiles=false`, data);
-      return response.data;
-    } catch (error) {
-      log(this.name, `Error updating item ${id}: ${error.message}`);
-      return null;
+    if (boxSize < 8) return { valid: false, reason: `invalid MP4 box size at ${offset}` };
+    if (offset + boxSize > size) {
+      return { valid: false, reason: `truncated: "${type}" box ends ${offset + boxSize - size} bytes past end of file` };
     }
+    offset += boxSize;
   }
 
-  async triggerCommand(command) {
-    try {
-      await this.axios.post(`/api/${this.apiVersion}/command`, command);
-      return true;
-    } catch (error) {
-      log(this.name, `Error triggering command: ${error.message}`);
-      return false;
-    }
+  if (!hasMoov) return { valid: false, reason: 'no moov box' };
+  if (tailIsZero && lastType !== 'free' && lastType !== 'skip') {
+    return { valid: false, reason: 'end of file is zero-filled (truncated download)' };
   }
+  return { valid: true, reason: null };
+}
 
-  async removeFromQueue(id) {
-    try {
-      await this.axios.delete(`/api/${this.apiVersion}/queue/${id}?removeFromClient=false&blocklist=false`);
-      return true;
-    } catch (error) {
-      log(this.name, `Error removing from queue: ${error.message}`);
-      return false;
+// Matroska files can legitimately end in an EBML Void element full of zeros, so a zero-filled
+// end only means truncation if the zeros aren't part of an element: start at the last element
+// the SeekHead points to (usually Cues or Tags) and walk the elements after it to the end of the
+// file. Without a SeekHead, or with more elements than we're willing to read, there's nothing
+// to check against and the file is given the benefit of the doubt.
+function validateMatroskaTail(fd, size, head) {
+  const segment = readEbmlChildren(head, 0, head.length).find(e => e.id === EBML_IDS.segment);
+  const seekHead = segment && readEbmlChildren(head, segment.dataStart, segment.dataEnd).find(e => e.id === EBML_IDS.seekHead);
+  const seekPositions = seekHead ? Object.entries(readMatroskaSeekHead(head, seekHead)) : [];
+  if (seekPositions.length === 0) return { valid: true, reason: null };
+
+  const [lastId, lastPosition] = seekPositions.reduce((last, entry) => (entry[1] > last[1] ? entry : last));
+  let offset = segment.dataStart + lastPosition;
+  for (let i = 0; i < 64 && offset < size; i++) {
+    const header = readFileRange(fd, offset, 16);
+    const id = readEbmlVint(header, 0, true);
+    const elementSize = id && readEbmlVint(header, id.length);
+    if (!elementSize || (i === 0 && id.value !== Number(lastId))) {
+      return { valid: false, reason: `end of file is zero-filled and there is no Matroska element at ${offset} (truncated download)` };
     }
+    if (elementSize.value === null) return { valid: true, reason: null }; // Unknown size runs to the end of the file
+    offset += id.length + elementSize.length + elementSize.value;
   }
 
-  findActualPath(releaseName, mountPath) {
-    try {
-      if (!fs.existsSync(mountPath)) {
-        log(this.name, `Mount path doesn't exist: ${mountPath}`);
-        return null;
-      }
+  if (offset > size) return { valid: false, reason: `truncated: Matroska element ends ${offset - size} bytes past end of file` };
+  return { valid: true, reason: null };
+}
 
-      const directories = fs.readdirSync(mountPath, { withFileTypes: true })
-        .filter(dirent => dirent.isDirectory())
-        .map(dirent => dirent.name);
+// Cheap sanity check of a media file through the mount: reads the first and last few KB and
+// checks the container header, so zero-byte or zero-filled placeholders left by missing
+// Usenet articles are treated as missing media instead of being registered
+function validateMediaFile(filePath) {
+  if (!CONFIG.validateMediaFiles) return { valid: true, reason: null };
 
-      // First try exact match (release name matches directory name)
-      const releaseNormalized = releaseName.toLowerCase().replace(/[^a-z0-9]/g, '');
-      let exactMatchFound = false;
-      for (const dir of directories) {
-        const dirNormalized = dir.toLowerCase().replace(/[^a-z0-9]/g, '');
-        if (dirNormalized === releaseNormalized) {
-          exactMatchFound = true;
-          const fullPath = path.join(mountPath, dir);
-          if (this.hasMediaFiles(fullPath)) {
-            log(this.name, `Found exact match: ${fullPath}`);
-            return fullPath;
-          }
-          // Exact match exists but no media files - check for numbered versions
-          const numberedPath = this.findNumberedVersion(fullPath, dir);
-          if (numberedPath) {
-            return numberedPath;
-          }
-        }
-      }
+  const ext = path.extname(filePath).toLowerCase();
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const { size } = fs.fstatSync(fd);
+    if (size === 0) return { valid: false, reason: 'empty file' };
+
+    const head = readFileRange(fd, 0, Math.min(VALIDATION_READ_BYTES, size));
+    const tail = readFileRange(fd, Math.max(0, size - VALIDATION_READ_BYTES), Math.min(VALIDATION_READ_BYTES, size));
+    if (isZeroFilled(head)) return { valid: false, reason: 'start of file is zero-filled' };
+    if (['.mp4', '.m4v', '.mov', '.m4a', '.m4b'].includes(ext)) {
+      return validateMp4Boxes(fd, size, isZeroFilled(tail));
+    }
+    if (['.mkv', '.webm'].includes(ext)) {
+      // EBML magic
+      if (head.length < 4 || head.readUInt32BE(0) !== 0x1a45dfa3) return { valid: false, reason: 'missing EBML header' };
+      return isZeroFilled(tail) ? validateMatroskaTail(fd, size, head) : { valid: true, reason: null };
+    }
+    if (isZeroFilled(tail)) return { valid: false, reason: 'end of file is zero-filled (truncated download)' };
 
-      // If no exact match directory exists, check if numbered versions exist directly
-      if (!exactMatchFound) {
-        const basePath = path.join(mountPath, releaseName);
-        const numberedPath = this.findNumberedVersion(basePath, releaseName);
-        if (numberedPath) {
-          return numberedPath;
+    switch (ext) {
+      case '.flac': {
+        const tagLength = getId3TagLength(head);
+        if (readFileRange(fd, tagLength, 4).toString('latin1') !== 'fLaC') return { valid: false, reason: 'missing fLaC header' };
+        break;
+      }
+      case '.mp3': {
+        const tagLength = getId3TagLength(head);
+        if (!isMp3FrameSync(readFileRange(fd, tagLength, 2))) {
+          return { valid: false, reason: tagLength ? 'no MPEG frame sync after ID3 tag' : 'missing ID3 tag or MPEG frame sync' };
         }
+        break;
       }
+    }
 
-      // Fall back to word-based matching
-      const releaseWords = extractTitleWords(releaseName);
-      const releaseYear = extractYear(releaseName);
+    return { valid: true, reason: null };
+  } catch (error) {
+    return { valid: false, reason: `unreadable: ${error.message}` };
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
 
-      let bestMatch = null;
-      let bestScore = 0;
-      const MIN_SCORE = 0.7; // Higher threshold for directory matching
+// Sonarr quality IDs by source and resolution (NzbDrone.Core.Qualities.Quality)
+const SONARR_QUALITY_IDS = {
+  unknown: 0,
+  sdtv: 1,
+  dvd: 2,
+  'webdl-1080': 3,
+  'hdtv-720': 4,
+  'webdl-720': 5,
+  'bluray-720': 6,
+  'bluray-1080': 7,
+  'webdl-480': 8,
+  'hdtv-1080': 9,
+  rawhd: 10,
+  'webrip-480': 12,
+  'bluray-480': 13,
+  'webrip-720': 14,
+  'webrip-1080': 15,
+  'hdtv-2160': 16,
+  'webrip-2160': 17,
+  'webdl-2160': 18,
+  'bluray-2160': 19,
+  'remux-1080': 20,
+  'remux-2160': 21,
+  'bluray-576': 22
+};
 
-      for (const dir of directories) {
-        const dirWords = extractTitleWords(dir);
-        const dirYear = extractYear(dir);
+// Release-name language tags, Sonarr language IDs, ISO 639-1 codes (subtitle file names) and
+// ISO 639-2 codes (for probed audio tracks)
+const LANGUAGES = [
+  { name: 'English', id: 1, code: 'en', iso: ['eng'], pattern: /\b(english|eng)\b/i },
+  { name: 'French', id: 2, code: 'fr', iso: ['fre', 'fra'], pattern: /\b(french|truefrench|vostfr|vff|vfq)\b/i },
+  { name: 'Spanish', id: 3, code: 'es', iso: ['spa'], pattern: /\b(spanish|espanol|castellano)\b/i },
+  { name: 'German', id: 4, code: 'de', iso: ['ger', 'deu'], pattern: /\b(german|deutsch)\b/i },
+  { name: 'Italian', id: 5, code: 'it', iso: ['ita'], pattern: /\b(italian|ita)\b/i },
+  { name: 'Danish', id: 6, code: 'da', iso: ['dan'], pattern: /\b(danish)\b/i },
+  { name: 'Dutch', id: 7, code: 'nl', iso: ['dut', 'nld'], pattern: /\b(dutch)\b/i },
+  { name: 'Japanese', id: 8, code: 'ja', iso: ['jpn'], pattern: /\b(japanese)\b/i },
+  { name: 'Chinese', id: 10, code: 'zh', iso: ['chi', 'zho'], pattern: /\b(chinese|mandarin|cantonese)\b/i },
+  { name: 'Russian', id: 11, code: 'ru', iso: ['rus'], pattern: /\b(russian|rus)\b/i },
+  { name: 'Polish', id: 12, code: 'pl', iso: ['pol'], pattern: /\b([Pp]olish|POLISH|PL)\b/ },
+  { name: 'Swedish', id: 14, code: 'sv', iso: ['swe'], pattern: /\b(swedish|swesub)\b/i },
+  { name: 'Norwegian', id: 15, code: 'no', iso: ['nor', 'nob', 'nno'], pattern: /\b(norwegian|nordic)\b/i },
+  { name: 'Finnish', id: 16, code: 'fi', iso: ['fin'], pattern: /\b(finnish)\b/i },
+  { name: 'Turkish', id: 17, code: 'tr', iso: ['tur'], pattern: /\b(turkish)\b/i },
+  { name: 'Portuguese', id: 18, code: 'pt', iso: ['por'], pattern: /\b(portuguese)\b/i },
+  { name: 'Korean', id: 21, code: 'ko', iso: ['kor'], pattern: /\b(korean)\b/i },
+  { name: 'Hungarian', id: 22, code: 'hu', iso: ['hun'], pattern: /\b(hungarian|hun)\b/i },
+  { name: 'Hebrew', id: 23, code: 'he', iso: ['heb'], pattern: /\b(hebrew)\b/i },
+  { name: 'Czech', id: 25, code: 'cs', iso: ['cze', 'ces'], pattern: /\b(czech)\b/i },
+  { name: 'Arabic', id: 26, code: 'ar', iso: ['ara'], pattern: /\b(arabic)\b/i },
+  { name: 'Hindi', id: 27, code: 'hi', iso: ['hin'], pattern: /\b(hindi)\b/i }
+];
 
-        let score = calculateMatchScore(releaseWords, dirWords);
+// Parse quality-related tags from a release or file name. Words are split on dots, dashes,
+// underscores and spaces, so the patterns below see "WEB DL" and "x264" as separate tokens.
+function parseReleaseInfo(name) {
+  const base = (name || '').replace(/\.(mkv|mp4|m4v|avi|mov|ts|flac|mp3|m4a|aac|ogg|wav)$/i, '');
+  const words = ` ${base.replace(/[._\-[\]()]+/g, ' ')} `;
+  const test = pattern => pattern.test(words);
+
+  let resolution = null;
+  if (test(/ (2160p|4k|uhd) /i)) resolution = 2160;
+  else if (test(/ 1080[pi] /i)) resolution = 1080;
+  else if (test(/ 720p /i)) resolution = 720;
+  else if (test(/ 576p /i)) resolution = 576;
+  else if (test(/ 480p /i)) resolution = 480;
+
+  let source = null;
+  if (test(/ (blu ?ray|bd ?rip|br ?rip|bdmv|bd25|bd50|uhd bd) /i) || test(/ remux /i)) source = 'bluray';
+  else if (test(/ web ?rip /i)) source = 'webrip';
+  else if (test(/ (web ?dl|webhd|web|amzn|nf|dsnp|hmax|atvp|itunes) /i)) source = 'webdl';
+  else if (test(/ raw ?hd /i)) source = 'rawhd';
+  else if (test(/ hdtv /i)) source = 'hdtv';
+  else if (test(/ (pdtv|sdtv|dsr|tvrip) /i)) source = 'sdtv';
+  else if (test(/ (dvd ?rip|dvd ?r|dvd5|dvd9|dvd|ntsc|pal) /i)) source = 'dvd';
+
+  let videoCodec = null;
+  if (test(/ (x265|h ?265|hevc) /i)) videoCodec = 'hevc';
+  else if (test(/ (x264|h ?264|avc) /i)) videoCodec = 'h264';
+  else if (test(/ av1 /i)) videoCodec = 'av1';
+  else if (test(/ (xvid|divx) /i)) videoCodec = 'mpeg4';
+  else if (test(/ vc ?1 /i)) videoCodec = 'vc1';
+  else if (test(/ mpeg ?2 /i)) videoCodec = 'mpeg2video';
+
+  let audioCodec = null;
+  if (test(/ (truehd|atmos) /i)) audioCodec = 'truehd';
+  else if (test(/ dts/i)) audioCodec = 'dts';
+  else if (test(/ (ddp|dd\+|e ?ac3)/i)) audioCodec = 'eac3';
+  else if (test(/ (dd|ac3)[ 0-9]/i)) audioCodec = 'ac3';
+  else if (test(/ aac/i)) audioCodec = 'aac';
+  else if (test(/ flac /i)) audioCodec = 'flac';
+  else if (test(/ opus /i)) audioCodec = 'opus';
+
+  // PROPER and REPACK are second versions; REAL (upper case only) marks a real release
+  const isRepack = test(/ (repack|rerip) /i);
+  const isProper = test(/ proper /i);
+  // Anime releases bump the version on the episode number instead: "- 1047v2"
+  const animeVersion = words.match(/ \d{1,4}v(\d) /i);
+  const revision = {
+    version: Math.max(isRepack || isProper ? 2 : 1, animeVersion ? parseInt(animeVersion[1]) : 1),
+    real: / REAL /.test(words) ? 1 : 0,
+    isRepack
+  };
+
+  const languages = LANGUAGES.filter(lang => lang.pattern.test(words)).map(lang => lang.name);
+  // Fansub groups lead the name in brackets ("[SubsPlease] ..."), scene groups trail it ("-NTb");
+  // an all-digit tail is an episode range ("01-12"), not a group
+  const groupMatch = base.match(/^\[([^\]]+)\]/) || base.match(/-([A-Za-z0-9]*[A-Za-z][A-Za-z0-9]*)$/);
+
+  return {
+    source,
+    resolution,
+    remux: test(/ remux /i),
+    videoCodec,
+    audioCodec,
+    revision,
+    languages,
+    // MULTi: several audio languages, named by the probed tracks rather than the release
+    multi: test(/ multi /i),
+    releaseGroup: groupMatch ? groupMatch[1] : ''
+  };
+}
 
-        // Boost score if years match
-        if (releaseYear && dirYear && releaseYear === dirYear) {
-          score += 0.2;
-        }
+// Sonarr quality from the parsed source and resolution, falling back to the probed height
+// the way Sonarr's own parser does (no source: HDTV for HD resolutions, SDTV below)
+function getSonarrQualityId(release, probe = null) {
+  let resolution = release.resolution;
+  if (!resolution && probe?.video?.height) {
+    const { width, height } = probe.video;
+    if (height > 1100 || width > 2000) resolution = 2160;
+    else if (height > 750 || width > 1300) resolution = 1080;
+    else if (height > 580 || width > 1000) resolution = 720;
+    else if (height > 500) resolution = 576;
+    else resolution = 480;
+  }
 
-        if (score > bestScore && score >= MIN_SCORE) {
-          const fullPath = path.join(mountPath, dir);
-          if (this.hasMediaFiles(fullPath)) {
-            bestScore = score;
-            bestMatch = fullPath;
-          }
-        }
-      }
+  const q = SONARR_QUALITY_IDS;
+  switch (release.source) {
+    case 'bluray':
+      if (release.remux && resolution === 2160) return q['remux-2160'];
+      if (release.remux) return q['remux-1080'];
+      if (resolution === 480 || resolution === 576) return q[`bluray-${resolution}`];
+      return q[`bluray-${resolution || 720}`];
+    case 'webdl':
+      return q[`webdl-${resolution === 576 ? 480 : resolution || 480}`];
+    case 'webrip':
+      return q[`webrip-${resolution === 576 ? 480 : resolution || 480}`];
+    case 'rawhd':
+      return q.rawhd;
+    case 'hdtv':
+      return resolution && resolution >= 720 ? q[`hdtv-${resolution}`] : q.sdtv;
+    case 'sdtv':
+      return q.sdtv;
+    case 'dvd':
+      return q.dvd;
+  }
 
-      if (bestMatch) {
-        log(this.name, `Found matching path (score: ${bestScore.toFixed(2)}): ${bestMatch}`);
-        return bestMatch;
-      }
+  if (resolution >= 720) return q[`hdtv-${resolution}`];
+  if (resolution || release.videoCodec === 'mpeg4') return q.sdtv;
+  return q.unknown;
+}
 
-      log(this.name, `No matching directory found for: ${releaseName}`);
-      return null;
-    } catch (error) {
-      log(this.name, `Error finding actual path: ${error.message}`);
-      return null;
-    }
+// Sonarr language IDs: release-name tags first, then probed audio track languages, else English.
+// MULTi adds the probed languages to any tagged ones ("MULTi.FRENCH" with an English track).
+function getSonarrLanguageIds(release, probe = null) {
+  let languages = LANGUAGES.filter(lang => release.languages.includes(lang.name));
+  if ((languages.length === 0 || release.multi) && probe?.audio?.length) {
+    const codes = probe.audio.map(track => track.language);
+    languages = LANGUAGES.filter(lang => languages.includes(lang) || lang.iso.some(code => codes.includes(code)));
   }
+  return languages.length > 0 ? languages.map(lang => lang.id) : [1];
+}
 
-  hasMediaFiles(dirPath) {
+const SUBTITLE_EXTENSIONS = ['.srt', '.ass', '.ssa', '.sub', '.idx', '.vtt', '.sup'];
+const EXTRA_EXTENSIONS = ['.nfo'];
+const SUBTITLE_TAGS = ['forced', 'sdh', 'cc', 'default'];
+
+// Language and tags from a subtitle name suffix: "en.forced", "English.SDH", "pt-BR", "2_eng".
+// "hi" is Hindi only when nothing else could be the language; otherwise it's hearing impaired.
+function parseSubtitleInfo(suffix) {
+  const tokens = suffix.toLowerCase().split(/[._\- ]+/).filter(Boolean);
+  const tags = tokens.filter(token => SUBTITLE_TAGS.includes(token));
+  const findLanguage = token => LANGUAGES.find(lang =>
+    lang.code === token || lang.iso.includes(token) || lang.name.toLowerCase() === token);
+  let language = null;
+  for (const token of tokens) {
+    if (token !== 'hi') language = language || findLanguage(token);
+  }
+  if (tokens.includes('hi')) {
+    if (language) tags.push('sdh');
+    else language = findLanguage('hi');
+  }
+  return { language, tags: [...new Set(tags)] };
+}
+
+// Subtitles and .nfo files belonging to a video: named after it in its folder or a Subs/
+// (Subtitles/) folder next to it, or in Subs/<video name>/. When the video is the only one in
+// its folder, every sidecar there counts, like the *arrs do for single-episode releases.
+function findSidecarFiles(videoPath) {
+  const dir = path.dirname(videoPath);
+  const base = path.basename(videoPath, path.extname(videoPath));
+  const isSidecar = name => [...SUBTITLE_EXTENSIONS, ...EXTRA_EXTENSIONS].includes(path.extname(name).toLowerCase());
+  const readDir = dirPath => {
     try {
-      const files = fs.readdirSync(dirPath);
-      return files.some(f => /\.(mkv|mp4|avi|mov|flac|mp3|m4a)$/i.test(f));
+      return fs.readdirSync(dirPath, { withFileTypes: true });
     } catch {
-      return false;
+      return [];
     }
+  };
+
+  const entries = readDir(dir);
+  const onlyVideo = entries.filter(e => e.isFile() && /\.(mkv|mp4|avi|mov)$/i.test(e.name)).length === 1;
+  const folders = [{ dirPath: dir, named: false }];
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !/^(subs|subtitles)$/i.test(entry.name)) continue;
+    const subsDir = path.join(dir, entry.name);
+    folders.push({ dirPath: subsDir, named: false });
+    const episodeDir = readDir(subsDir).find(e => e.isDirectory() && e.name.toLowerCase() === base.toLowerCase());
+    if (episodeDir) folders.push({ dirPath: path.join(subsDir, episodeDir.name), named: true });
   }
 
-  // Find directory with numbered suffix (e.g., "Release (2)", "Release (3)") that has media files
-  findNumberedVersion(basePath, baseName) {
-    try {
-      const parentDir = path.dirname(basePath);
-      if (!fs.existsSync(parentDir)) return null;
+  const sidecars = [];
+  for (const { dirPath, named } of folders) {
+    for (const entry of (dirPath === dir ? entries : readDir(dirPath))) {
+      if (!entry.isFile() || !isSidecar(entry.name)) continue;
+      const extension = path.extname(entry.name).toLowerCase();
+      const stem = path.basename(entry.name, path.extname(entry.name));
+      const namedAfterVideo = stem.toLowerCase().startsWith(base.toLowerCase());
+      if (!named && !namedAfterVideo && !onlyVideo) continue;
+
+      const sidecar = { path: path.join(dirPath, entry.name), extension, type: 'extra' };
+      if (SUBTITLE_EXTENSIONS.includes(extension)) {
+        Object.assign(sidecar, { type: 'subtitle' }, parseSubtitleInfo(namedAfterVideo ? stem.slice(base.length) : stem.split('.').slice(-3).join('.')));
+      }
+      sidecars.push(sidecar);
+    }
+  }
+  return sidecars;
+}
 
-      const directories = fs.readdirSync(parentDir, { withFileTypes: true })
-        .filter(dirent => dirent.isDirectory())
-        .map(dirent => dirent.name);
+// Bytes read from the start of a Matroska file when probing its tracks
+const PROBE_READ_BYTES = 256 * 1024;
+
+// Matroska element IDs used by the probe
+const EBML_IDS = {
+  docType: 0x4282,
+  segment: 0x18538067,
+  seekHead: 0x114d9b74,
+  seek: 0x4dbb,
+  seekId: 0x53ab,
+  seekPosition: 0x53ac,
+  info: 0x1549a966,
+  timestampScale: 0x2ad7b1,
+  duration: 0x4489,
+  tracks: 0x1654ae6b,
+  trackEntry: 0xae,
+  trackType: 0x83,
+  codecId: 0x86,
+  language: 0x22b59c,
+  video: 0xe0,
+  pixelWidth: 0xb0,
+  pixelHeight: 0xba,
+  audio: 0xe1,
+  samplingFrequency: 0xb5,
+  channels: 0x9f,
+  bitDepth: 0x6264,
+  cluster: 0x1f43b675
+};
 
-      // Look for numbered versions: "baseName (2)", "baseName (3)", etc.
-      const numberedPattern = new RegExp(`^${baseName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')} \\((\\d+)\\)$`);
+const MATROSKA_CODECS = {
+  'V_MPEG4/ISO/AVC': 'h264',
+  'V_MPEGH/ISO/HEVC': 'hevc',
+  V_AV1: 'av1',
+  V_VP9: 'vp9',
+  V_VP8: 'vp8',
+  V_MPEG2: 'mpeg2video',
+  'V_MPEG4/ISO/ASP': 'mpeg4',
+  A_AAC: 'aac',
+  A_AC3: 'ac3',
+  A_EAC3: 'eac3',
+  A_DTS: 'dts',
+  A_TRUEHD: 'truehd',
+  A_FLAC: 'flac',
+  A_OPUS: 'opus',
+  A_VORBIS: 'vorbis',
+  'A_MPEG/L3': 'mp3',
+  'S_TEXT/UTF8': 'subrip',
+  'S_TEXT/ASS': 'ass',
+  'S_TEXT/SSA': 'ssa',
+  'S_HDMV/PGS': 'hdmv_pgs_subtitle',
+  S_VOBSUB: 'dvd_subtitle'
+};
 
-      const numberedVersions = directories
-        .filter(dir => numberedPattern.test(dir))
-        .map(dir => ({
-          name: dir,
-          number: parseInt(dir.match(numberedPattern)[1])
-        }))
-        .sort((a, b) => b.number - a.number); // Sort descending (newest first)
+const MP4_CODECS = {
+  avc1: 'h264',
+  avc3: 'h264',
+  hvc1: 'hevc',
+  hev1: 'hevc',
+  av01: 'av1',
+  vp09: 'vp9',
+  mp4v: 'mpeg4',
+  mp4a: 'aac',
+  'ac-3': 'ac3',
+  'ec-3': 'eac3',
+  alac: 'alac',
+  fLaC: 'flac',
+  Opus: 'opus',
+  '.mp3': 'mp3',
+  tx3g: 'mov_text'
+};
 
-      // Return the first numbered version that has media files
-      for (const version of numberedVersions) {
-        const fullPath = path.join(parentDir, version.name);
-        if (this.hasMediaFiles(fullPath)) {
-          log(this.name, `Found numbered version with media: ${fullPath}`);
-          return fullPath;
-        }
-      }
+// EBML variable-length integer at offset: { length, value } (value null = unknown size)
+function readEbmlVint(buffer, offset, keepMarker = false) {
+  const first = buffer[offset];
+  if (first === undefined || first === 0) return null;
 
-      return null;
-    } catch (error) {
-      log(this.name, `Error finding numbered version: ${error.message}`);
-      return null;
-    }
+  let length = 1;
+  while (length <= 8 && !(first & (0x80 >> (length - 1)))) length++;
+  if (length > 8 || offset + length > buffer.length) return null;
+
+  let value = keepMarker ? first : first & (0xff >> length);
+  let allOnes = value === (0xff >> length);
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + buffer[offset + i];
+    if (buffer[offset + i] !== 0xff) allOnes = false;
   }
+  return { length, value: !keepMarker && allOnes ? null : value };
+}
 
-  normalizeTitle(title) {
-    // Remove special characters, year, quality tags, etc. for matching
-    return title
-      .toLowerCase()
-      .replace(/\b(19|20)\d{2}\b/g, '') // Remove years
-      .replace(/\b(480|720|1080|2160)p?\b/gi, '') // Remove resolutions
-      .replace(/\b(bluray|webrip|webdl|hdtv|brrip|dvdrip|remux|avc|hevc|x264|x265)\b/gi, '')
-      .replace(/\b(dts|ac3|aac|ma|flac|mp3|m4a)\b/gi, '') // Remove audio codecs
-      .replace(/[^a-z0-9]/g, '')
-      .trim();
+// Child elements of an EBML master element: [{ id, dataStart, dataEnd }]
+function readEbmlChildren(buffer, start, end) {
+  const children = [];
+  let offset = start;
+  while (offset < end) {
+    const id = readEbmlVint(buffer, offset, true);
+    if (!id) break;
+    const size = readEbmlVint(buffer, offset + id.length);
+    if (!size) break;
+
+    const dataStart = offset + id.length + size.length;
+    const dataEnd = size.value === null ? end : Math.min(dataStart + size.value, end);
+    children.push({ id: id.value, dataStart, dataEnd, truncated: size.value !== null && dataStart + size.value > end });
+    if (size.value === null) break;
+    offset = dataStart + size.value;
   }
+  return children;
 }
 
-// NzbDAV history fetcher - fetches all completed downloads
-async function fetchNzbdavHistory() {
-  try {
-    const params = {
-      mode: 'history',
-      apikey: CONFIG.nzbdav.apiKey,
-      output: 'json'
-    };
+function readEbmlUint(buffer, element) {
+  let value = 0;
+  for (let i = element.dataStart; i < element.dataEnd; i++) value = value * 256 + buffer[i];
+  return value;
+}
 
-    const headers = {};
-    if (CONFIG.nzbdav.apiKey) {
-      headers['x-api-key'] = CONFIG.nzbdav.apiKey;
-    }
+function readEbmlFloat(buffer, element) {
+  const length = element.dataEnd - element.dataStart;
+  if (length === 4) return buffer.readFloatBE(element.dataStart);
+  if (length === 8) return buffer.readDoubleBE(element.dataStart);
+  return 0;
+}
 
-    const response = await axios.get(`${CONFIG.nzbdav.url}/api`, {
-      params,
-      headers,
-      timeout: 10000
-    });
+function readEbmlString(buffer, element) {
+  return buffer.toString('latin1', element.dataStart, element.dataEnd).replace(/\0+$/, '');
+}
 
-    const history = response.data?.history || response.data?.History;
-    const slots = history?.slots || history?.Slots || [];
+// SeekHead entries: { elementId: position relative to the start of the Segment data }
+function readMatroskaSeekHead(buffer, seekHead) {
+  const positions = {};
+  for (const seek of readEbmlChildren(buffer, seekHead.dataStart, seekHead.dataEnd)) {
+    if (seek.id !== EBML_IDS.seek) continue;
+    const fields = readEbmlChildren(buffer, seek.dataStart, seek.dataEnd);
+    const seekId = fields.find(f => f.id === EBML_IDS.seekId);
+    const seekPosition = fields.find(f => f.id === EBML_IDS.seekPosition);
+    if (seekId && seekPosition) positions[readEbmlUint(buffer, seekId)] = readEbmlUint(buffer, seekPosition);
+  }
+  return positions;
+}
 
-    // Only return completed items
-    return slots.filter(slot => {
-      const status = (slot?.status || slot?.Status || '').toString().toLowerCase();
-      return status === 'completed';
-    });
-  } catch (error) {
-    log('NzbDAV', `Error fetching history: ${error.message}`);
-    return [];
+function parseMatroskaTracks(buffer, element) {
+  const tracks = [];
+  for (const entry of readEbmlChildren(buffer, element.dataStart, element.dataEnd)) {
+    if (entry.id !== EBML_IDS.trackEntry) continue;
+
+    const track = { type: null, codec: null, language: 'eng' };
+    for (const child of readEbmlChildren(buffer, entry.dataStart, entry.dataEnd)) {
+      if (child.id === EBML_IDS.trackType) track.type = readEbmlUint(buffer, child);
+      else if (child.id === EBML_IDS.codecId) {
+        const codecId = readEbmlString(buffer, child);
+        track.codec = MATROSKA_CODECS[codecId] || MATROSKA_CODECS[codecId.split('/')[0]] || codecId.toLowerCase();
+      } else if (child.id === EBML_IDS.language) track.language = readEbmlString(buffer, child);
+      else if (child.id === EBML_IDS.video || child.id === EBML_IDS.audio) {
+        for (const setting of readEbmlChildren(buffer, child.dataStart, child.dataEnd)) {
+          if (setting.id === EBML_IDS.pixelWidth) track.width = readEbmlUint(buffer, setting);
+          else if (setting.id === EBML_IDS.pixelHeight) track.height = readEbmlUint(buffer, setting);
+          else if (setting.id === EBML_IDS.channels) track.channels = readEbmlUint(buffer, setting);
+          else if (setting.id === EBML_IDS.samplingFrequency) track.sampleRate = Math.round(readEbmlFloat(buffer, setting));
+          else if (setting.id === EBML_IDS.bitDepth) track.bitDepth = readEbmlUint(buffer, setting);
+        }
+      }
+    }
+    tracks.push(track);
   }
+  return tracks;
 }
 
-// Radarr-specific handler
-class RadarrMonitor extends ArrClient {
-  constructor(name, config, apiVersion = 'v3') {
-    super(name, config, apiVersion);
-    // Track recently searched movies to avoid repeated searches
-    this.recentlySearched = new Map(); // movieId -> timestamp
-    this.searchCooldownMs = CONFIG.searchCooldownMs;
+// Matroska: EBML DocType, Segment Info (duration) and Tracks, following the SeekHead when
+// Tracks isn't within the first PROBE_READ_BYTES
+function probeMatroska(fd, size) {
+  const buffer = readFileRange(fd, 0, Math.min(PROBE_READ_BYTES, size));
+  const topLevel = readEbmlChildren(buffer, 0, buffer.length);
+  const header = topLevel[0];
+  const segment = topLevel.find(e => e.id === EBML_IDS.segment);
+  if (!header || !segment) return null;
+
+  const docType = readEbmlChildren(buffer, header.dataStart, header.dataEnd).find(e => e.id === EBML_IDS.docType);
+  const result = {
+    container: docType && readEbmlString(buffer, docType) === 'webm' ? 'webm' : 'matroska',
+    durationSeconds: 0,
+    tracks: []
+  };
+
+  let info = null;
+  let tracks = null;
+  const seekPositions = {};
+  for (const element of readEbmlChildren(buffer, segment.dataStart, segment.dataEnd)) {
+    if (element.id === EBML_IDS.cluster) break;
+    if (element.id === EBML_IDS.info && !element.truncated) info = { buffer, element };
+    else if (element.id === EBML_IDS.tracks && !element.truncated) tracks = { buffer, element };
+    else if (element.id === EBML_IDS.seekHead) Object.assign(seekPositions, readMatroskaSeekHead(buffer, element));
   }
 
-  async getAllMovies() {
-    try {
-      const response = await this.axios.get(`/api/${this.apiVersion}/movie`);
-      return response.data || [];
-    } catch (error) {
-      log(this.name, `Error fetching movies: ${error.message}`);
-      return [];
+  // Elements outside the first read: read them where the SeekHead says they are
+  const readAt = id => {
+    if (seekPositions[id] === undefined) return null;
+    const position = segment.dataStart + seekPositions[id];
+    const chunk = readFileRange(fd, position, Math.min(PROBE_READ_BYTES, Math.max(0, size - position)));
+    const element = readEbmlChildren(chunk, 0, chunk.length)[0];
+    return element && element.id === id ? { buffer: chunk, element } : null;
+  };
+  info = info || readAt(EBML_IDS.info);
+  tracks = tracks || readAt(EBML_IDS.tracks);
+
+  if (info) {
+    let timestampScale = 1000000;
+    let duration = 0;
+    for (const child of readEbmlChildren(info.buffer, info.element.dataStart, info.element.dataEnd)) {
+      if (child.id === EBML_IDS.timestampScale) timestampScale = readEbmlUint(info.buffer, child);
+      else if (child.id === EBML_IDS.duration) duration = readEbmlFloat(info.buffer, child);
     }
+    result.durationSeconds = duration * timestampScale / 1e9;
   }
+  if (tracks) {
+    const typeNames = { 1: 'video', 2: 'audio', 17: 'subtitle' };
+    result.tracks = parseMatroskaTracks(tracks.buffer, tracks.element)
+      .map(track => ({ ...track, type: typeNames[track.type] || 'other' }));
+  }
+  return result;
+}
 
-  async triggerSearchForIncompleteDownload(movie, originalRelease) {
-    // Check cooldown to avoid repeated searches
-    const lastSearch = this.recentlySearched.get(movie.id);
-    if (lastSearch && (Date.now() - lastSearch) < this.searchCooldownMs) {
-      const hoursAgo = ((Date.now() - lastSearch) / (60 * 60 * 1000)).toFixed(1);
-      log(this.name, `Skipping search for "${movie.title}" - already searched ${hoursAgo}h ago`);
-      return;
+// Boxes between start and end, reading only each 16-byte header: [{ type, start, dataStart, end }]
+function readMp4Boxes(fd, start, end) {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end && boxes.length < 512) {
+    const header = readFileRange(fd, offset, 16);
+    if (header.length < 8) break;
+
+    let boxSize = header.readUInt32BE(0);
+    let headerSize = 8;
+    if (boxSize === 1 && header.length >= 16) {
+      boxSize = Number(header.readBigUInt64BE(8));
+      headerSize = 16;
+    } else if (boxSize === 0) {
+      boxSize = end - offset;
     }
+    if (boxSize < headerSize) break;
 
-    log(this.name, `Triggering search for incomplete download: "${movie.title}" (was: ${originalRelease})`);
+    boxes.push({ type: header.toString('latin1', 4, 8), start: offset, dataStart: offset + headerSize, end: Math.min(offset + boxSize, end) });
+    offset += boxSize;
+  }
+  return boxes;
+}
 
-    if (!CONFIG.dryRun) {
-      const success = await this.triggerCommand({
-        name: 'MoviesSearch',
-        movieIds: [movie.id]
-      });
+// ISO 639-2 code packed into 15 bits (mdhd)
+function readMp4Language(packed) {
+  if (!packed || packed === 0x7fff) return 'und';
+  return String.fromCharCode(((packed >> 10) & 0x1f) + 0x60, ((packed >> 5) & 0x1f) + 0x60, (packed & 0x1f) + 0x60);
+}
 
-      if (success) {
-        this.recentlySearched.set(movie.id, Date.now());
-        log(this.name, `✅ Search triggered for: ${movie.title}`);
-      } else {
-        log(this.name, `❌ Failed to trigger search for: ${movie.title}`);
+function parseMp4Track(fd, trak) {
+  const track = { type: 'other', codec: null, language: 'und' };
+  const find = (boxes, type) => boxes.find(b => b.type === type);
+
+  const mdia = find(readMp4Boxes(fd, trak.dataStart, trak.end), 'mdia');
+  if (!mdia) return track;
+  const mdiaBoxes = readMp4Boxes(fd, mdia.dataStart, mdia.end);
+
+  const mdhd = find(mdiaBoxes, 'mdhd');
+  if (mdhd) {
+    const data = readFileRange(fd, mdhd.dataStart, 34);
+    const languageOffset = data[0] === 1 ? 32 : 20;
+    if (data.length >= languageOffset + 2) track.language = readMp4Language(data.readUInt16BE(languageOffset));
+  }
+
+  const hdlr = find(mdiaBoxes, 'hdlr');
+  if (hdlr) {
+    const handler = readFileRange(fd, hdlr.dataStart + 8, 4).toString('latin1');
+    track.type = { vide: 'video', soun: 'audio', sbtl: 'subtitle', text: 'subtitle', subt: 'subtitle' }[handler] || 'other';
+  }
+
+  const minf = find(mdiaBoxes, 'minf');
+  const stbl = minf && find(readMp4Boxes(fd, minf.dataStart, minf.end), 'stbl');
+  const stsd = stbl && find(readMp4Boxes(fd, stbl.dataStart, stbl.end), 'stsd');
+  if (stsd) {
+    // Full box header (4) + entry count (4), then the first sample entry
+    const entry = readFileRange(fd, stsd.dataStart + 8, 40);
+    if (entry.length >= 8) {
+      const format = entry.toString('latin1', 4, 8);
+      track.codec = MP4_CODECS[format] || format.trim().toLowerCase();
+      if (track.type === 'video' && entry.length >= 36) {
+        track.width = entry.readUInt16BE(32);
+        track.height = entry.readUInt16BE(34);
+      } else if (track.type === 'audio' && entry.length >= 36) {
+        track.channels = entry.readUInt16BE(24);
+        track.bitDepth = entry.readUInt16BE(26);
+        track.sampleRate = entry.readUInt32BE(32) >>> 16;
       }
-    } else {
-      log(this.name, `[DRY RUN] Would trigger search for: ${movie.title}`);
     }
   }
+  return track;
+}
 
-  async processHistory(nzbdavHistory) {
-    const movies = await this.getAllMovies();
+// MP4/QuickTime: mvhd duration plus per-track handler, codec, dimensions and language
+function probeMp4(fd, size) {
+  const moov = readMp4Boxes(fd, 0, size).find(b => b.type === 'moov');
+  if (!moov) return null;
+
+  const result = { container: 'mov,mp4,m4a,3gp,3g2,mj2', durationSeconds: 0, tracks: [] };
+  for (const box of readMp4Boxes(fd, moov.dataStart, moov.end)) {
+    if (box.type === 'mvhd') {
+      const data = readFileRange(fd, box.dataStart, 32);
+      if (data[0] === 1 && data.length >= 32) {
+        result.durationSeconds = Number(data.readBigUInt64BE(24)) / (data.readUInt32BE(20) || 1);
+      } else if (data.length >= 20) {
+        result.durationSeconds = data.readUInt32BE(16) / (data.readUInt32BE(12) || 1);
+      }
+    } else if (box.type === 'trak') {
+      result.tracks.push(parseMp4Track(fd, box));
+    }
+  }
+  return result;
+}
 
-    for (const historyItem of nzbdavHistory) {
-      const jobName = historyItem.job_name || historyItem.name || '';
-      const category = (historyItem.category || historyItem.Category || '').toLowerCase();
+// MPEG audio Layer III tables, indexed by the header's bitrate / sample rate fields
+const MP3_BITRATES = {
+  1: [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+  2: [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+const MP3_SAMPLE_RATES = [44100, 48000, 32000];
+
+// Layer III frame header at offset, or null if the bytes aren't one
+function parseMp3FrameHeader(buffer, offset) {
+  if (offset + 4 > buffer.length || !isMp3FrameSync(buffer.subarray(offset))) return null;
+  const versionBits = (buffer[offset + 1] >> 3) & 3;
+  const layerBits = (buffer[offset + 1] >> 1) & 3;
+  const bitrateIndex = buffer[offset + 2] >> 4;
+  const sampleRateIndex = (buffer[offset + 2] >> 2) & 3;
+  if (versionBits === 1 || layerBits !== 1 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) return null;
+
+  const mpeg1 = versionBits === 3;
+  const mono = buffer[offset + 3] >> 6 === 3;
+  return {
+    mpeg1,
+    mono,
+    bitrate: MP3_BITRATES[mpeg1 ? 1 : 2][bitrateIndex],
+    sampleRate: MP3_SAMPLE_RATES[sampleRateIndex] / (mpeg1 ? 1 : versionBits === 2 ? 2 : 4),
+    samplesPerFrame: mpeg1 ? 1152 : 576,
+    // The Xing/Info header sits after the 4-byte header and the side information
+    xingOffset: 4 + (mpeg1 ? (mono ? 17 : 32) : (mono ? 9 : 17))
+  };
+}
 
-      // Only process configured categories
-      if (!this.config.categories.some(cat => category.includes(cat))) continue;
+// MP3: first frame header plus the Xing/Info or VBRI header LAME and others write into it.
+// "Xing" and VBRI mean VBR, "Info" (or no header at all) means CBR.
+function probeMp3(fd, size) {
+  const buffer = readFileRange(fd, 0, Math.min(PROBE_READ_BYTES, size));
+  let offset = getId3TagLength(buffer);
+  let chunk = offset > 0 ? readFileRange(fd, offset, Math.min(PROBE_READ_BYTES, Math.max(0, size - offset))) : buffer;
+
+  // Skip padding or junk between the tag and the first frame
+  let frameStart = 0;
+  while (frameStart < chunk.length - 4 && !parseMp3FrameHeader(chunk, frameStart)) frameStart++;
+  const frame = parseMp3FrameHeader(chunk, frameStart);
+  if (!frame) return null;
+  offset += frameStart;
+  chunk = chunk.subarray(frameStart);
+
+  let vbr = false;
+  let frames = 0;
+  let bytes = 0;
+  const xing = chunk.toString('latin1', frame.xingOffset, frame.xingOffset + 4);
+  if ((xing === 'Xing' || xing === 'Info') && chunk.length >= frame.xingOffset + 16) {
+    vbr = xing === 'Xing';
+    const flags = chunk.readUInt32BE(frame.xingOffset + 4);
+    let field = frame.xingOffset + 8;
+    if (flags & 1) { frames = chunk.readUInt32BE(field); field += 4; }
+    if (flags & 2) bytes = chunk.readUInt32BE(field);
+  } else if (chunk.toString('latin1', 36, 40) === 'VBRI' && chunk.length >= 54) {
+    vbr = true;
+    bytes = chunk.readUInt32BE(46);
+    frames = chunk.readUInt32BE(50);
+  }
 
-      // Extract year from release name for better matching
-      const releaseYear = extractYear(jobName);
+  const audioBytes = bytes || size - offset;
+  const durationSeconds = frames > 0
+    ? frames * frame.samplesPerFrame / frame.sampleRate
+    : audioBytes * 8 / (frame.bitrate * 1000);
+  const bitrate = vbr && durationSeconds > 0 ? Math.round(audioBytes * 8 / durationSeconds / 1000) : frame.bitrate;
+
+  return {
+    container: 'mp3',
+    durationSeconds,
+    tracks: [{
+      type: 'audio',
+      codec: 'mp3',
+      language: 'und',
+      channels: frame.mono ? 1 : 2,
+      sampleRate: frame.sampleRate,
+      bitrate,
+      vbr
+    }]
+  };
+}
 
-      // Use improved word-based matching
-      const { match: movie, score } = findBestMatch(
-        jobName,
-        releaseYear,
-        movies,
-        m => m.title,
-        m => m.year
-      );
+// FLAC: sample rate, channels, bit depth and length from the STREAMINFO block, which
+// always comes first after the fLaC marker
+function probeFlac(fd, size) {
+  const buffer = readFileRange(fd, 0, Math.min(VALIDATION_READ_BYTES, size));
+  const start = getId3TagLength(buffer);
+  const header = start > 0 ? readFileRange(fd, start, 42) : buffer.subarray(0, 42);
+  if (header.length < 42 || header.toString('latin1', 0, 4) !== 'fLaC' || (header[4] & 0x7f) !== 0) return null;
+
+  const info = header.subarray(8);
+  const sampleRate = (info[10] << 12) | (info[11] << 4) | (info[12] >> 4);
+  const channels = ((info[12] >> 1) & 7) + 1;
+  const bitDepth = (((info[12] & 1) << 4) | (info[13] >> 4)) + 1;
+  const totalSamples = (info[13] & 0x0f) * 2 ** 32 + info.readUInt32BE(14);
+  const durationSeconds = sampleRate > 0 ? totalSamples / sampleRate : 0;
+
+  return {
+    container: 'flac',
+    durationSeconds,
+    tracks: [{
+      type: 'audio',
+      codec: 'flac',
+      language: 'und',
+      channels,
+      sampleRate,
+      bitDepth,
+      bitrate: durationSeconds > 0 ? Math.round(size * 8 / durationSeconds / 1000) : 0
+    }]
+  };
+}
 
-      if (!movie) {
-        log(this.name, `No matching movie found for: ${jobName}`);
-        continue;
-      }
+// Read container-level media details without ffprobe: { container, durationSeconds,
+// video: { codec, width, height }, audio: [{ codec, channels, language, ... }], subtitles: [...] }
+// Returns null for other containers or unreadable files.
+function probeMediaFile(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const { size } = fs.fstatSync(fd);
+
+    let probe = null;
+    if (ext === '.mkv' || ext === '.webm' || ext === '.mka') probe = probeMatroska(fd, size);
+    else if (['.mp4', '.m4v', '.mov', '.m4a', '.m4b'].includes(ext)) probe = probeMp4(fd, size);
+    else if (ext === '.flac') probe = probeFlac(fd, size);
+    else if (ext === '.mp3') probe = probeMp3(fd, size);
+    if (!probe) return null;
+
+    // Audio-only files without a stream bitrate (AAC/ALAC in MP4): average over the file
+    const audioTracks = probe.tracks.filter(t => t.type === 'audio');
+    if (audioTracks.length === 1 && audioTracks.length === probe.tracks.length && !audioTracks[0].bitrate && probe.durationSeconds > 0) {
+      audioTracks[0].bitrate = Math.round(size * 8 / probe.durationSeconds / 1000);
+    }
 
-      log(this.name, `Matched "${jobName}" to "${movie.title}" (score: ${score.toFixed(2)})`);
+    return {
+      container: probe.container,
+      durationSeconds: probe.durationSeconds,
+      video: probe.tracks.find(t => t.type === 'video') || null,
+      audio: probe.tracks.filter(t => t.type === 'audio'),
+      subtitles: probe.tracks.filter(t => t.type === 'subtitle')
+    };
+  } catch (error) {
+    log('Probe', `Could not probe ${filePath}: ${error.message}`);
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
 
-      // Skip if already has file
-      if (movie.hasFile) {
-        continue;
-      }
+// Most of an audio file's tag is cover art; text frames past this point are ignored
+const TAG_READ_BYTES = 1024 * 1024;
 
-      const actualPath = this.findActualPath(jobName, this.config.mountPath);
+// "3/12" -> 3
+function parseTagNumber(value) {
+  const number = parseInt(String(value || '').split('/')[0]);
+  return number > 0 ? number : null;
+}
 
-      // If no media files found on disk, the download likely failed - trigger a new search
-      if (!actualPath) {
-        log(this.name, `No media files found for "${movie.title}" - download appears incomplete`);
-        await this.triggerSearchForIncompleteDownload(movie, jobName);
-        continue;
-      }
+// Fields used for track matching, from whichever tag format the file has
+function emptyAudioTags() {
+  return { title: null, trackNumber: null, discNumber: null, recordingMbid: null, releaseTrackMbid: null };
+}
 
-      if (actualPath === movie.path) {
-        log(this.name, `Path already correct: ${movie.title}`);
-        continue;
-      }
+// Vorbis comments as found in FLAC and Ogg (KEY=value, little-endian lengths).
+// In Picard's scheme MUSICBRAINZ_TRACKID is the recording, RELEASETRACKID the track.
+function parseVorbisComments(buffer, offset) {
+  const tags = emptyAudioTags();
+  if (offset + 8 > buffer.length) return tags;
+  offset += 4 + buffer.readUInt32LE(offset);
+  if (offset + 4 > buffer.length) return tags;
+  const count = buffer.readUInt32LE(offset);
+  offset += 4;
+
+  for (let i = 0; i < count && offset + 4 <= buffer.length; i++) {
+    const length = buffer.readUInt32LE(offset);
+    const comment = buffer.toString('utf8', offset + 4, Math.min(offset + 4 + length, buffer.length));
+    offset += 4 + length;
+    const separator = comment.indexOf('=');
+    if (separator < 0) continue;
+    const value = comment.slice(separator + 1).trim();
+    switch (comment.slice(0, separator).toUpperCase()) {
+      case 'TITLE': tags.title = value; break;
+      case 'TRACKNUMBER': tags.trackNumber = parseTagNumber(value); break;
+      case 'DISCNUMBER': tags.discNumber = parseTagNumber(value); break;
+      case 'MUSICBRAINZ_TRACKID': tags.recordingMbid = value; break;
+      case 'MUSICBRAINZ_RELEASETRACKID': tags.releaseTrackMbid = value; break;
+    }
+  }
+  return tags;
+}
 
-      log(this.name, `Updating path from ${movie.path} to ${actualPath}`);
+// ID3v2 text: a leading encoding byte (latin1, UTF-16 with BOM, UTF-16BE, UTF-8)
+function decodeId3Text(buffer, encoding) {
+  let text;
+  if (encoding === 1 || encoding === 2) {
+    let bytes = Buffer.from(buffer);
+    let bigEndian = encoding === 2;
+    if (bytes[0] === 0xfe && bytes[1] === 0xff) { bigEndian = true; bytes = bytes.subarray(2); }
+    else if (bytes[0] === 0xff && bytes[1] === 0xfe) { bytes = bytes.subarray(2); }
+    if (bigEndian) bytes = bytes.subarray(0, bytes.length - (bytes.length % 2)).swap16();
+    text = bytes.toString('utf16le');
+  } else {
+    text = buffer.toString(encoding === 3 ? 'utf8' : 'latin1');
+  }
+  return text.replace(/\0+$/, '');
+}
 
-      if (!CONFIG.dryRun) {
-        movie.path = actualPath;
-        const updated = await this.updateItem(movie.id, 'movie', movie);
+// ID3v2.2-2.4 frames: title, track/disc position, MusicBrainz recording (UFID) and release track (TXXX)
+function parseId3Tags(buffer) {
+  const tags = emptyAudioTags();
+  const version = buffer[3];
+  const tagEnd = Math.min(getId3TagLength(buffer), buffer.length);
+  const syncsafe = offset => ((buffer[offset] & 0x7f) << 21) | ((buffer[offset + 1] & 0x7f) << 14) | ((buffer[offset + 2] & 0x7f) << 7) | (buffer[offset + 3] & 0x7f);
 
-        if (updated) {
-          log(this.name, `Triggering refresh for: ${movie.title}`);
-          await this.triggerCommand({ name: 'RefreshMovie', movieIds: [movie.id] });
-          // Clear any failed queue entries for this movie
-          await this.clearFailedQueueEntries(item => item.movieId === movie.id);
-        }
-      } else {
-        log(this.name, `[DRY RUN] Would update path and refresh`);
+  let offset = 10;
+  if (buffer[5] & 0x40 && version >= 3) {
+    offset += version === 4 ? syncsafe(10) : 4 + buffer.readUInt32BE(10);
+  }
+
+  const idLength = version === 2 ? 3 : 4;
+  const headerLength = version === 2 ? 6 : 10;
+  while (offset + headerLength <= tagEnd && buffer[offset] !== 0) {
+    const id = buffer.toString('latin1', offset, offset + idLength);
+    const size = version === 2 ? buffer.readUIntBE(offset + 3, 3)
+      : version === 4 ? syncsafe(offset + 4) : buffer.readUInt32BE(offset + 4);
+    const data = buffer.subarray(offset + headerLength, Math.min(offset + headerLength + size, tagEnd));
+    offset += headerLength + size;
+    if (data.length === 0) continue;
+
+    if (id === 'TIT2' || id === 'TT2') tags.title = decodeId3Text(data.subarray(1), data[0]).trim();
+    else if (id === 'TRCK' || id === 'TRK') tags.trackNumber = parseTagNumber(decodeId3Text(data.subarray(1), data[0]));
+    else if (id === 'TPOS' || id === 'TPA') tags.discNumber = parseTagNumber(decodeId3Text(data.subarray(1), data[0]));
+    else if (id === 'UFID') {
+      const separator = data.indexOf(0);
+      if (separator > 0 && data.toString('latin1', 0, separator) === 'http://musicbrainz.org') {
+        tags.recordingMbid = data.toString('latin1', separator + 1).trim();
       }
+    } else if (id === 'TXXX') {
+      const [description, value] = decodeId3Text(data.subarray(1), data[0]).split('\0');
+      if (description === 'MusicBrainz Release Track Id' && value) tags.releaseTrackMbid = value.trim();
     }
   }
+  return tags;
+}
 
-  async cleanupStaleFiles() {
-    // Skip during startup grace period to allow VFS cache to populate
-    if (isInStartupGracePeriod()) {
-      const remainingMs = CONFIG.startupGracePeriodMs - (Date.now() - SERVICE_START_TIME);
-      log(this.name, `Skipping stale file cleanup - in startup grace period (${Math.ceil(remainingMs / 1000)}s remaining)`);
-      return 0;
+// FLAC metadata blocks up to the VORBIS_COMMENT block, skipping pictures without reading them
+function readFlacTags(fd, size, start) {
+  let offset = start + 4;
+  for (let i = 0; i < 64 && offset + 4 <= size; i++) {
+    const header = readFileRange(fd, offset, 4);
+    if (header.length < 4) break;
+    const type = header[0] & 0x7f;
+    const length = header.readUIntBE(1, 3);
+    if (type === 4) return parseVorbisComments(readFileRange(fd, offset + 4, Math.min(length, TAG_READ_BYTES)), 0);
+    if (header[0] & 0x80) break;
+    offset += 4 + length;
+  }
+  return null;
+}
+
+// MP4 metadata: moov/udta/meta/ilst items (©nam, trkn, disk and iTunes "----" MusicBrainz atoms)
+function readMp4Tags(fd, size) {
+  const find = (boxes, type) => boxes.find(b => b.type === type);
+  const moov = find(readMp4Boxes(fd, 0, size), 'moov');
+  const udta = moov && find(readMp4Boxes(fd, moov.dataStart, moov.end), 'udta');
+  const meta = udta && find(readMp4Boxes(fd, udta.dataStart, udta.end), 'meta');
+  // meta is a full box: 4 bytes of version/flags before its children
+  const ilst = meta && find(readMp4Boxes(fd, meta.dataStart + 4, meta.end), 'ilst');
+  if (!ilst) return null;
+
+  const tags = emptyAudioTags();
+  for (const item of readMp4Boxes(fd, ilst.dataStart, ilst.end)) {
+    // Box types are read as latin1, so the © in ©nam is 0xA9
+    if (!['©nam', 'trkn', 'disk', '----'].includes(item.type)) continue;
+    const children = readMp4Boxes(fd, item.dataStart, item.end)
+      .map(box => ({ type: box.type, data: readFileRange(fd, box.dataStart, Math.min(box.end - box.dataStart, 4096)) }));
+    const data = find(children, 'data');
+    // data box payload starts after type indicator (4) and locale (4)
+    const value = data ? data.data.subarray(8) : Buffer.alloc(0);
+
+    if (item.type === '©nam') tags.title = value.toString('utf8').trim();
+    else if (item.type === 'trkn' && value.length >= 4) tags.trackNumber = value.readUInt16BE(2) || null;
+    else if (item.type === 'disk' && value.length >= 4) tags.discNumber = value.readUInt16BE(2) || null;
+    else if (item.type === '----') {
+      const name = find(children, 'name');
+      // name is a full box too
+      const key = name ? name.data.toString('utf8', 4) : '';
+      if (key === 'MusicBrainz Track Id') tags.recordingMbid = value.toString('utf8').trim();
+      else if (key === 'MusicBrainz Release Track Id') tags.releaseTrackMbid = value.toString('utf8').trim();
     }
+  }
+  return tags;
+}
 
-    // Verify mount is ready before checking for stale files
-    const mountCheck = isMountReady(this.config.mountPath);
-    if (!mountCheck.ready) {
-      log(this.name, `Skipping stale file cleanup - ${mountCheck.reason}`);
-      return 0;
+// Ogg Vorbis/Opus: the comment header is the second packet, within the first pages
+function readOggTags(buffer) {
+  for (const [marker, skip] of [['\x03vorbis', 7], ['OpusTags', 8]]) {
+    const index = buffer.indexOf(marker, 0, 'latin1');
+    if (index >= 0) return parseVorbisComments(buffer, index + skip);
+  }
+  return null;
+}
+
+// Track title, track/disc number and MusicBrainz IDs from a file's embedded tags,
+// or null if the file has none we can read
+function readAudioTags(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  let fd;
+  try {
+    fd = fs.openSync(filePath, 'r');
+    const { size } = fs.fstatSync(fd);
+    const head = readFileRange(fd, 0, Math.min(VALIDATION_READ_BYTES, size));
+    const id3Length = getId3TagLength(head);
+
+    if (['.m4a', '.m4b', '.mp4', '.aac'].includes(ext) && id3Length === 0) return readMp4Tags(fd, size);
+    if (ext === '.ogg' || ext === '.opus') return readOggTags(readFileRange(fd, 0, Math.min(PROBE_READ_BYTES, size)));
+    if (ext === '.flac') {
+      const start = id3Length > 0 ? id3Length : 0;
+      const marker = readFileRange(fd, start, 4).toString('latin1');
+      if (marker === 'fLaC') return readFlacTags(fd, size, start);
     }
+    if (id3Length > 0) return parseId3Tags(readFileRange(fd, 0, Math.min(id3Length, TAG_READ_BYTES, size)));
+    return null;
+  } catch (error) {
+    log('Tags', `Could not read tags from ${filePath}: ${error.message}`);
+    return null;
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+}
 
-    log(this.name, 'Checking for stale movie files...');
-    const movies = await this.getAllMovies();
-    const moviesWithFiles = movies.filter(m => m.hasFile && m.movieFile);
-    let cleanedCount = 0;
+// hh:mm:ss.fffffff, the way .NET serializes a TimeSpan
+function formatTimeSpan(seconds) {
+  const totalTicks = Math.round((seconds || 0) * 1e7);
+  const ticks = totalTicks % 1e7;
+  const totalSeconds = Math.floor(totalTicks / 1e7);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(Math.floor(totalSeconds / 3600))}:${pad(Math.floor(totalSeconds / 60) % 60)}:${pad(totalSeconds % 60)}.${pad(ticks, 7)}`;
+}
 
-    for (const movie of moviesWithFiles) {
-      const filePath = movie.movieFile.path;
+// Header-derived MediaInfo is partial (no bitrates, HDR or frame rate), so it's stored with
+// schema revision 0: the *arr shows it straight away and replaces it with its own analysis
+// on the next rescan when file analysis is enabled
+const PROBED_MEDIA_INFO_SCHEMA_REVISION = 0;
+
+// MediaInfo JSON for Sonarr's EpisodeFiles (camelCase MediaInfoModel), or null if nothing is known
+function buildSonarrMediaInfo(probe, release) {
+  if (!probe && !release.videoCodec && !release.audioCodec) return null;
+
+  const video = probe?.video || {};
+  const audio = probe?.audio?.[0] || {};
+  return {
+    schemaRevision: PROBED_MEDIA_INFO_SCHEMA_REVISION,
+    containerFormat: probe?.container || '',
+    videoFormat: video.codec || release.videoCodec || '',
+    videoCodecID: '',
+    videoProfile: '',
+    videoBitrate: 0,
+    videoBitDepth: 0,
+    videoMultiViewCount: 0,
+    videoColourPrimaries: '',
+    videoTransferCharacteristics: '',
+    height: video.height || 0,
+    width: video.width || 0,
+    audioFormat: audio.codec || release.audioCodec || '',
+    audioCodecID: '',
+    audioProfile: '',
+    audioBitrate: 0,
+    runTime: formatTimeSpan(probe?.durationSeconds),
+    audioStreamCount: probe?.audio?.length || (release.audioCodec ? 1 : 0),
+    audioChannels: audio.channels || 0,
+    audioChannelPositions: '',
+    audioLanguages: (probe?.audio || []).map(track => track.language),
+    subtitles: (probe?.subtitles || []).map(track => track.language),
+    videoFps: 0,
+    scanType: 'Progressive'
+  };
+}
 
-      // Only check files in our mount path
-      if (!filePath || !filePath.startsWith(this.config.mountPath)) continue;
+// Lidarr quality IDs (NzbDrone.Core.Qualities.Quality in Lidarr)
+const LIDARR_QUALITY_IDS = {
+  unknown: 0,
+  'mp3-192': 1,
+  'mp3-vbr-v0': 2,
+  'mp3-256': 3,
+  'mp3-320': 4,
+  'mp3-160': 5,
+  flac: 6,
+  alac: 7,
+  'mp3-vbr-v2': 8,
+  'aac-192': 9,
+  'aac-256': 10,
+  'aac-320': 11,
+  'aac-vbr': 12,
+  wav: 13,
+  'flac-24': 21,
+  'mp3-128': 22,
+  'mp3-224': 34
+};
 
-      // Check if file exists on disk
-      if (!fs.existsSync(filePath)) {
-        log(this.name, `Stale file detected: "${movie.title}" - ${filePath}`);
+// Audio quality tags from a release or file name: bit depth, MP3/AAC bitrate or VBR preset
+function parseAudioReleaseInfo(name) {
+  const words = ` ${(name || '').replace(/[._\-[\]()]+/g, ' ')} `;
+  const bitrateMatch = words.match(/ (320|256|224|192|160|128) ?(kbps|k)? /i);
+  const vbrMatch = words.match(/ (?:vbr )?v([02]) /i);
+  return {
+    is24Bit: /( 24 ?bits?| 24 ?(44|48|88|96|176|192)| hi ?res)/i.test(words),
+    bitrate: bitrateMatch ? parseInt(bitrateMatch[1]) : null,
+    vbrPreset: vbrMatch ? parseInt(vbrMatch[1]) : null,
+    revision: parseReleaseInfo(name).revision
+  };
+}
 
-        if (!CONFIG.dryRun) {
-          try {
-            // Delete the movie file record via API
-            await this.axios.delete(`/api/${this.apiVersion}/moviefile/${movie.movieFile.id}`);
-            log(this.name, `Deleted stale movie file record for: ${movie.title}`);
+// Closest Lidarr MP3 bitrate at or below the file's
+const LIDARR_MP3_BITRATES = [320, 256, 224, 192, 160, 128];
 
-            // Only trigger search if movie is monitored
-            if (movie.monitored) {
-              await this.triggerSearchForIncompleteDownload(movie, movie.title);
-            } else {
-              log(this.name, `Skipping search for unmonitored movie: ${movie.title}`);
-            }
-            cleanedCount++;
-          } catch (error) {
-            log(this.name, `Failed to delete movie file: ${error.message}`);
-          }
-        } else {
-          log(this.name, `[DRY RUN] Would delete stale file and trigger search`);
-          cleanedCount++;
-        }
-      }
-    }
+// Average bitrate from which a VBR MP3 counts as V0 rather than V2 (V0 averages ~245, V2 ~190)
+const MP3_VBR_V0_MIN_BITRATE = 210;
 
-    if (cleanedCount > 0) {
-      log(this.name, `🧹 Cleaned up ${cleanedCount} stale movie files`);
+// Lidarr quality from the probed stream (FLAC STREAMINFO, MP3 frame/Xing header, MP4 sample
+// entry), falling back to the file type and release-name tags when the file can't be probed
+function getLidarrQuality(filePath, releaseName, probe = null) {
+  const ext = path.extname(filePath).toLowerCase();
+  const tags = parseAudioReleaseInfo(`${releaseName || ''} ${path.basename(filePath)}`);
+  const q = LIDARR_QUALITY_IDS;
+  const audio = probe?.audio?.[0];
+  const codec = audio?.codec;
+
+  if (ext === '.flac' || codec === 'flac') {
+    const is24Bit = audio?.bitDepth ? audio.bitDepth > 16 : tags.is24Bit;
+    return is24Bit ? { id: q['flac-24'], name: 'FLAC 24bit' } : { id: q.flac, name: 'FLAC' };
+  }
+  if (ext === '.mp3') {
+    if (audio?.vbr) {
+      return audio.bitrate >= MP3_VBR_V0_MIN_BITRATE
+        ? { id: q['mp3-vbr-v0'], name: 'MP3-VBR-V0' }
+        : { id: q['mp3-vbr-v2'], name: 'MP3-VBR-V2' };
     }
-    return cleanedCount;
+    if (audio?.bitrate) {
+      const bitrate = LIDARR_MP3_BITRATES.find(b => b <= audio.bitrate) || 128;
+      return { id: q[`mp3-${bitrate}`], name: `MP3-${bitrate}` };
+    }
+    if (tags.vbrPreset === 0) return { id: q['mp3-vbr-v0'], name: 'MP3-VBR-V0' };
+    if (tags.vbrPreset === 2) return { id: q['mp3-vbr-v2'], name: 'MP3-VBR-V2' };
+    const bitrate = tags.bitrate || 320;
+    return { id: q[`mp3-${bitrate}`], name: `MP3-${bitrate}` };
+  }
+  if (codec === 'alac') {
+    return { id: q.alac, name: 'ALAC' };
+  }
+  if (ext === '.m4a' || ext === '.aac') {
+    const probedBitrate = audio?.bitrate ? [320, 256, 192].find(b => b <= audio.bitrate + 16) || 192 : null;
+    const bitrate = probedBitrate || ([192, 256, 320].includes(tags.bitrate) ? tags.bitrate : 320);
+    return { id: q[`aac-${bitrate}`], name: `AAC-${bitrate}` };
+  }
+  if (ext === '.wav') {
+    return { id: q.wav, name: 'WAV' };
   }
+  return { id: q.unknown, name: 'Unknown' };
 }
 
-// Sonarr-specific handler
-class SonarrMonitor extends ArrClient {
-  constructor(name, config, apiVersion = 'v3') {
-    super(name, config, apiVersion);
-    // Track recently searched episodes to avoid repeated searches
-    this.recentlySearched = new Map(); // "seriesId-season-episode" -> timestamp
-    this.searchCooldownMs = CONFIG.searchCooldownMs;
+// MediaInfo JSON for Lidarr's TrackFiles
+function buildLidarrMediaInfo(quality, probe = null) {
+  const audio = probe?.audio?.[0] || {};
+  return {
+    schemaRevision: PROBED_MEDIA_INFO_SCHEMA_REVISION,
+    audioFormat: (audio.codec || quality.name.split(/[- ]/)[0]).toUpperCase(),
+    audioBitrate: audio.bitrate || parseInt((quality.name.match(/-(\d+)$/) || [])[1]) || 0,
+    audioChannels: audio.channels || 0,
+    audioBits: audio.bitDepth || (quality.name === 'FLAC 24bit' ? 24 : 0),
+    audioSampleRate: audio.sampleRate || 0
+  };
+}
+
+// Check if we're still in the startup grace period
+function isInStartupGracePeriod() {
+  const elapsed = Date.now() - SERVICE_START_TIME;
+  return elapsed < CONFIG.startupGracePeriodMs;
+}
+
+// Minimal Prometheus registry - counters and gauges with labels, rendered in text exposition format
+class MetricsRegistry {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.metrics = new Map(); // name -> { type, help, values: Map(labelKey -> { labels, value }) }
   }
 
-  async triggerSearchForIncompleteDownload(series, episode, originalRelease) {
-    const searchKey = `${series.id}-${episode.seasonNumber}-${episode.episodeNumber}`;
-    const lastSearch = this.recentlySearched.get(searchKey);
+  define(name, type, help) {
+    this.metrics.set(name, { type, help, values: new Map() });
+  }
 
-    if (lastSearch && (Date.now() - lastSearch) < this.searchCooldownMs) {
-      const hoursAgo = ((Date.now() - lastSearch) / (60 * 60 * 1000)).toFixed(1);
-      log(this.name, `Skipping search for "${series.title}" S${episode.seasonNumber}E${episode.episodeNumber} - already searched ${hoursAgo}h ago`);
-      return;
+  getSeries(name, labels) {
+    const metric = this.metrics.get(name);
+    if (!metric) throw new Error(`Unknown metric: ${name}`);
+    const key = JSON.stringify(Object.entries(labels).sort());
+    if (!metric.values.has(key)) {
+      metric.values.set(key, { labels, value: 0 });
     }
+    return metric.values.get(key);
+  }
 
-    log(this.name, `Triggering search for incomplete download: "${series.title}" S${episode.seasonNumber}E${episode.episodeNumber} (was: ${originalRelease})`);
+  inc(name, labels = {}, amount = 1) {
+    this.getSeries(name, labels).value += amount;
+  }
 
-    if (!CONFIG.dryRun) {
-      const success = await this.triggerCommand({
-        name: 'EpisodeSearch',
-        episodeIds: [episode.id]
-      });
+  set(name, labels, value) {
+    this.getSeries(name, labels).value = value;
+  }
 
-      if (success) {
-        this.recentlySearched.set(searchKey, Date.now());
-        log(this.name, `✅ Search triggered for: ${series.title} S${episode.seasonNumber}E${episode.episodeNumber}`);
-      } else {
-        log(this.name, `❌ Failed to trigger search for: ${series.title} S${episode.seasonNumber}E${episode.episodeNumber}`);
+  render() {
+    const escape = value => String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+    const lines = [];
+    for (const [name, metric] of this.metrics) {
+      const fullName = `${this.prefix}_${name}`;
+      lines.push(`# HELP ${fullName} ${metric.help}`);
+      lines.push(`# TYPE ${fullName} ${metric.type}`);
+      for (const { labels, value } of metric.values.values()) {
+        const labelText = Object.entries(labels).map(([k, v]) => `${k}="${escape(v)}"`).join(',');
+        lines.push(`${fullName}${labelText ? `{${labelText}}` : ''} ${value}`);
       }
-    } else {
-      log(this.name, `[DRY RUN] Would trigger search for: ${series.title} S${episode.seasonNumber}E${episode.episodeNumber}`);
     }
+    return lines.join('\n') + '\n';
   }
+}
 
-  async getAllSeries() {
-    try {
-      const response = await this.axios.get(`/api/${this.apiVersion}/series`);
-      return response.data || [];
-    } catch (error) {
-      log(this.name, `Error fetching series: ${error.message}`);
-      return [];
-    }
+const metrics = new MetricsRegistry('arr_path_fixer');
+metrics.define('polls_total', 'counter', 'History processing runs per monitor');
+metrics.define('poll_duration_seconds', 'gauge', 'Duration of the last history processing run');
+metrics.define('history_slots', 'gauge', 'History slots in the monitor\'s categories at the last poll');
+metrics.define('history_slots_pending', 'gauge', 'History slots that needed processing at the last poll');
+metrics.define('matches_total', 'counter', 'History slots matched to an *arr item, by strategy');
+metrics.define('unmatched_total', 'counter', 'History slots that could not be matched or parsed');
+metrics.define('registrations_total', 'counter', 'Files registered in the *arr database, by result (created, relinked)');
+metrics.define('path_updates_total', 'counter', 'Item paths updated via the *arr API');
+metrics.define('searches_total', 'counter', 'Searches for incomplete or stale items, by result (triggered, suppressed, failed, delegated)');
+metrics.define('stale_files_cleaned_total', 'counter', 'Stale file records removed');
+metrics.define('failed_queue_entries_cleared_total', 'counter', 'Failed queue entries cleared after registration');
+metrics.define('invalid_media_files_total', 'counter', 'Media files rejected by container-header validation');
+metrics.define('blocklisted_releases_total', 'counter', 'Releases blocklisted because the completed download had no media');
+metrics.define('failed_downloads_total', 'counter', 'Failed downloads handled, by result (marked, suppressed, already_failed, untracked, error)');
+metrics.define('api_errors_total', 'counter', 'Failed *arr and NzbDAV API requests');
+metrics.define('history_source_up', 'gauge', 'Whether the last history fetch from a source succeeded (1) or failed (0)');
+
+// Persistent local state (search cooldowns, history outcomes, registrations).
+// Kept in its own SQLite file so it survives restarts without touching *arr databases.
+class StateStore {
+  constructor(dbPath) {
+    this.dbPath = dbPath;
+    this._db = null;
   }
 
-  parseSeasonInfo(jobName) {
-    // Detect season-only patterns (season packs without episode numbers)
-    const patterns = [
-      /[Ss](\d+)(?![Ee]\d)/,           // S01 not followed by E##
-      /[Ss]eason[.\s_-]?(\d+)/i,       // Season 1, Season.1, Season_1
-      /[._-]S(\d+)[._-]/,              // .S01. or _S01_ or -S01-
-    ];
-
-    for (const pattern of patterns) {
-      const match = jobName.match(pattern);
-      if (match) {
-        const season = parseInt(match[1]);
-        // Verify this isn't actually an episode pattern we missed
-        if (!/[Ss]\d+[Ee]\d+/.test(jobName)) {
-          return { season };
+  getDatabase() {
+    if (!this._db) {
+      try {
+        fs.mkdirSync(path.dirname(this.dbPath), { recursive: true });
+        this._db = new Database(this.dbPath);
+        this.initialize();
+      } catch (error) {
+        // Keep running with in-memory state rather than refusing to start - this also covers a
+        // corrupt or non-SQLite file, which opens fine and only fails on the first statement
+        log('State', `Could not open state database at ${this.dbPath}: ${error.message} - using in-memory state`);
+        try {
+          this._db?.close();
+        } catch {
+          // Already unusable
         }
+        this._db = new Database(':memory:');
+        this.initialize();
       }
     }
-
-    return null;
+    return this._db;
   }
 
-  parseEpisodeInfo(jobName) {
-    // Try to extract season and episode numbers from release name
-    // Supports formats: S01E02, S01E02E03, 1x02, etc.
-    const patterns = [
-      /[Ss](\d+)[Ee](\d+)(?:[Ee](\d+))?/,  // S01E02 or S01E02E03
-      /(\d+)x(\d+)/,                        // 1x02
-      /[Ee]pisode[.\s](\d+)/i,              // Episode 02
-    ];
+  // WAL mode and schema; throws if the file isn't a usable SQLite database
+  initialize() {
+    this._db.pragma('journal_mode = WAL');
+    this._db.exec(`
+      CREATE TABLE IF NOT EXISTS Searches (
+        Monitor TEXT NOT NULL,
+        SearchKey TEXT NOT NULL,
+        SearchedAt INTEGER NOT NULL,
+        PRIMARY KEY (Monitor, SearchKey)
+      );
+      CREATE TABLE IF NOT EXISTS HistoryOutcomes (
+        Monitor TEXT NOT NULL,
+        HistoryKey TEXT NOT NULL,
+        JobName TEXT,
+        Outcome TEXT NOT NULL,
+        Detail TEXT,
+        CompletedAt INTEGER NOT NULL DEFAULT 0,
+        UpdatedAt INTEGER NOT NULL,
+        PRIMARY KEY (Monitor, HistoryKey)
+      );
+      CREATE TABLE IF NOT EXISTS Failures (
+        Monitor TEXT NOT NULL,
+        ItemKey TEXT NOT NULL,
+        Count INTEGER NOT NULL,
+        LastHistoryKey TEXT,
+        UpdatedAt INTEGER NOT NULL,
+        PRIMARY KEY (Monitor, ItemKey)
+      );
+      CREATE TABLE IF NOT EXISTS Registrations (
+        Monitor TEXT NOT NULL,
+        Path TEXT NOT NULL,
+        ItemKey TEXT,
+        FileId INTEGER,
+        RegisteredAt INTEGER NOT NULL,
+        PRIMARY KEY (Monitor, Path)
+      );
+    `);
+    this.addMissingColumn('HistoryOutcomes', 'CompletedAt', 'INTEGER NOT NULL DEFAULT 0');
+  }
 
-    for (const pattern of patterns) {
-      const match = jobName.match(pattern);
-      if (match) {
-        const season = parseInt(match[1]) || 1;
-        const episode = parseInt(match[2]);
-        return { season, episode };
-      }
+  // Upgrade state databases created by older versions
+  addMissingColumn(table, column, definition) {
+    const columns = this._db.prepare(`PRAGMA table_info(${table})`).all();
+    if (!columns.some(c => c.name === column)) {
+      this._db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
     }
+  }
 
-    return null;
+  getLastSearch(monitor, searchKey) {
+    const row = this.getDatabase().prepare(
+      'SELECT SearchedAt FROM Searches WHERE Monitor = ? AND SearchKey = ?'
+    ).get(monitor, String(searchKey));
+    return row ? row.SearchedAt : null;
   }
 
-  async getEpisode(seriesId, season, episode) {
-    try {
-      const response = await this.axios.get(`/api/${this.apiVersion}/episode`, {
-        params: { seriesId }
-      });
-      const episodes = response.data || [];
-      return episodes.find(e => e.seasonNumber === season && e.episodeNumber === episode);
-    } catch (error) {
-      log(this.name, `Error fetching episodes: ${error.message}`);
-      return null;
+  recordSearch(monitor, searchKey, searchedAt = Date.now()) {
+    this.getDatabase().prepare(
+      'INSERT OR REPLACE INTO Searches (Monitor, SearchKey, SearchedAt) VALUES (?, ?, ?)'
+    ).run(monitor, String(searchKey), searchedAt);
+  }
+
+  getHistoryOutcome(monitor, historyKey) {
+    return this.getDatabase().prepare(
+      'SELECT JobName, Outcome, Detail, CompletedAt, UpdatedAt FROM HistoryOutcomes WHERE Monitor = ? AND HistoryKey = ?'
+    ).get(monitor, historyKey) || null;
+  }
+
+  recordHistoryOutcome(monitor, historyKey, jobName, outcome, detail = null, completedAt = 0) {
+    this.getDatabase().prepare(`
+      INSERT OR REPLACE INTO HistoryOutcomes (Monitor, HistoryKey, JobName, Outcome, Detail, CompletedAt, UpdatedAt)
+      VALUES (?, ?, ?, ?, ?, ?, ?)
+    `).run(monitor, historyKey, jobName, outcome, detail, completedAt, Date.now());
+  }
+
+  recordRegistration(monitor, filePath, itemKey, fileId = null) {
+    this.getDatabase().prepare(`
+      INSERT OR REPLACE INTO Registrations (Monitor, Path, ItemKey, FileId, RegisteredAt)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(monitor, filePath, String(itemKey), fileId === null ? null : Number(fileId), Date.now());
+  }
+
+  // Count incomplete downloads per *arr item - each distinct history slot counts once
+  recordFailure(monitor, itemKey, historyKey) {
+    const db = this.getDatabase();
+    const existing = db.prepare(
+      'SELECT Count, LastHistoryKey FROM Failures WHERE Monitor = ? AND ItemKey = ?'
+    ).get(monitor, itemKey);
+
+    if (existing && existing.LastHistoryKey === historyKey) {
+      return { count: existing.Count, isNew: false };
     }
+
+    const count = (existing ? existing.Count : 0) + 1;
+    db.prepare(`
+      INSERT OR REPLACE INTO Failures (Monitor, ItemKey, Count, LastHistoryKey, UpdatedAt)
+      VALUES (?, ?, ?, ?, ?)
+    `).run(monitor, itemKey, count, historyKey, Date.now());
+    return { count, isNew: true };
   }
 
-  async getAllEpisodes(seriesId) {
+  clearFailures(monitor, itemKey) {
+    this.getDatabase().prepare('DELETE FROM Failures WHERE Monitor = ? AND ItemKey = ?').run(monitor, itemKey);
+  }
+
+  // Drop expired cooldowns and anything older than the retention period
+  prune() {
+    const db = this.getDatabase();
+    const now = Date.now();
+    const searches = db.prepare('DELETE FROM Searches WHERE SearchedAt < ?').run(now - CONFIG.searchCooldownMs).changes;
+    const outcomes = db.prepare('DELETE FROM HistoryOutcomes WHERE UpdatedAt < ?').run(now - CONFIG.state.retentionMs).changes;
+    const registrations = db.prepare('DELETE FROM Registrations WHERE RegisteredAt < ?').run(now - CONFIG.state.retentionMs).changes;
+    db.prepare('DELETE FROM Failures WHERE UpdatedAt < ?').run(now - CONFIG.state.retentionMs);
+    const total = searches + outcomes + registrations;
+    if (total > 0) {
+      log('State', `Pruned ${searches} expired searches, ${outcomes} history outcomes, ${registrations} registrations`);
+    }
+    return total;
+  }
+}
+
+const state = new StateStore(CONFIG.state.dbPath);
+
+// Notification event types and their digest headings
+const NOTIFICATION_EVENTS = {
+  registered: 'Files registered',
+  path_updated: 'Paths updated',
+  stale_removed: 'Stale files removed',
+  search_triggered: 'Searches triggered',
+  unmatched: 'Unmatched releases',
+  download_failed: 'Failed downloads marked',
+  repeated_failure: 'Repeated failures'
+};
+
+// Maximum lines per event type in a digest before it's summarized as "...and N more"
+const DIGEST_MAX_LINES = 20;
+
+// Base notifier: filters events and batches them, so a large cleanup sends one digest
+class Notifier {
+  constructor(name, config) {
+    this.name = name;
+    this.config = config;
+    this.events = config.events ? new Set(config.events) : null;
+    this.batchMs = config.batchMs !== null ? config.batchMs : CONFIG.notifications.batchMs;
+    this.pending = [];
+    this.timer = null;
+  }
+
+  accepts(event) {
+    return !this.events || this.events.has(event.type);
+  }
+
+  enqueue(event) {
+    if (!this.accepts(event)) return;
+    this.pending.push(event);
+
+    if (this.batchMs <= 0) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.batchMs);
+    }
+  }
+
+  async flush() {
+    this.timer = null;
+    const events = this.pending;
+    this.pending = [];
+    if (events.length === 0) return;
+
     try {
-      const response = await this.axios.get(`/api/${this.apiVersion}/episode`, {
-        params: { seriesId }
-      });
-      return response.data || [];
+      await this.send(this.format(events), events);
     } catch (error) {
-      log(this.name, `Error fetching episodes: ${error.message}`);
-      return [];
+      log('Notify', `${this.name} failed to send ${events.length} event(s): ${error.message}`);
     }
   }
 
-  async triggerSeasonSearch(series, seasonNumber) {
-    const searchKey = `${series.id}-season-${seasonNumber}`;
-    const lastSearch = this.recentlySearched.get(searchKey);
+  // One event reads as itself; several become a digest grouped by event type
+  format(events) {
+    if (events.length === 1) {
+      const [event] = events;
+      return { title: `${NOTIFICATION_EVENTS[event.type]} - ${event.monitor}`, message: event.message };
+    }
 
-    if (lastSearch && (Date.now() - lastSearch) < this.searchCooldownMs) {
-      const hoursAgo = ((Date.now() - lastSearch) / (60 * 60 * 1000)).toFixed(1);
-      log(this.name, `Skipping search for "${series.title}" Season ${seasonNumber} - already searched ${hoursAgo}h ago`);
-      return;
+    const sections = [];
+    for (const type of Object.keys(NOTIFICATION_EVENTS)) {
+      const ofType = events.filter(e => e.type === type);
+      if (ofType.length === 0) continue;
+
+      const lines = ofType.slice(0, DIGEST_MAX_LINES).map(e => `- [${e.monitor}] ${e.message}`);
+      if (ofType.length > DIGEST_MAX_LINES) {
+        lines.push(`- ...and ${ofType.length - DIGEST_MAX_LINES} more`);
+      }
+      sections.push(`${NOTIFICATION_EVENTS[type]} (${ofType.length})\n${lines.join('\n')}`);
     }
 
-    log(this.name, `Triggering search for incomplete season pack: "${series.title}" Season ${seasonNumber}`);
+    return { title: `arr-path-fixer: ${events.length} events`, message: sections.join('\n\n') };
+  }
 
-    if (!CONFIG.dryRun) {
-      const success = await this.triggerCommand({
-        name: 'SeasonSearch',
-        seriesId: series.id,
-        seasonNumber: seasonNumber
-      });
+  async send() {
+    throw new Error('send() not implemented');
+  }
+}
 
-      if (success) {
-        this.recentlySearched.set(searchKey, Date.now());
-        log(this.name, `✅ Season search triggered for: ${series.title} Season ${seasonNumber}`);
-      } else {
-        log(this.name, `❌ Failed to trigger season search for: ${series.title} Season ${seasonNumber}`);
-      }
-    } else {
-      log(this.name, `[DRY RUN] Would trigger season search for: ${series.title} Season ${seasonNumber}`);
+// Generic JSON webhook - posts the formatted text plus the raw events
+class WebhookNotifier extends Notifier {
+  async send({ title, message }, events) {
+    await axios.post(this.config.url, { title, message, events }, { timeout: 10000 });
+  }
+}
+
+class DiscordNotifier extends Notifier {
+  async send({ title, message }) {
+    // Discord embed descriptions are capped at 4096 characters
+    const description = message.length > 4096 ? `${message.slice(0, 4093)}...` : message;
+    await axios.post(this.config.url, {
+      username: 'arr-path-fixer',
+      embeds: [{ title: title.slice(0, 256), description }]
+    }, { timeout: 10000 });
+  }
+}
+
+// ntfy: NOTIFY_NTFY_URL includes the topic (https://ntfy.sh/my-topic)
+class NtfyNotifier extends Notifier {
+  async send({ title, message }) {
+    const headers = { Title: title };
+    if (this.config.token) {
+      headers.Authorization = `Bearer ${this.config.token}`;
     }
+    await axios.post(this.config.url, message, { headers, timeout: 10000 });
   }
+}
 
-  async processSeasonPack(series, seasonNumber, downloadPath, jobName) {
-    log(this.name, `Processing season pack: ${series.title} Season ${seasonNumber}`);
+// Apprise API: NOTIFY_APPRISE_URL is the /notify/<key> endpoint of an Apprise server
+class AppriseNotifier extends Notifier {
+  async send({ title, message }, events) {
+    const type = events.some(e => e.type === 'repeated_failure') ? 'warning' : 'info';
+    await axios.post(this.config.url, { title, body: message, type }, { timeout: 10000 });
+  }
+}
 
-    // Get all episodes for this series
-    const allEpisodes = await this.getAllEpisodes(series.id);
-    const seasonEpisodes = allEpisodes.filter(e => e.seasonNumber === seasonNumber);
+const notifiers = [
+  ['Webhook', WebhookNotifier, CONFIG.notifications.webhook],
+  ['Discord', DiscordNotifier, CONFIG.notifications.discord],
+  ['ntfy', NtfyNotifier, CONFIG.notifications.ntfy],
+  ['Apprise', AppriseNotifier, CONFIG.notifications.apprise]
+].filter(([, , config]) => config.url).map(([name, NotifierClass, config]) => new NotifierClass(name, config));
+
+// Fan an event out to every notifier that wants it
+function notify(type, monitor, message) {
+  const event = { type, monitor, message, timestamp: new Date().toISOString() };
+  for (const notifier of notifiers) {
+    notifier.enqueue(event);
+  }
+}
 
-    if (seasonEpisodes.length === 0) {
-      log(this.name, `No episodes found in Sonarr for ${series.title} Season ${seasonNumber}`);
-      return;
+// "/local/prefix:/server/prefix" -> { from, to }, or null when the value isn't in that form
+function parsePathMap(pathMap) {
+  const separator = pathMap.indexOf(':');
+  if (separator <= 0 || separator === pathMap.length - 1) return null;
+  return { from: pathMap.slice(0, separator), to: pathMap.slice(separator + 1) };
+}
+
+// Translate a local mount path to the media server's view of it ("/local/prefix:/server/prefix")
+function mapServerPath(localPath, pathMap) {
+  const map = pathMap ? parsePathMap(pathMap) : null;
+  if (!map) return localPath;
+  return localPath.startsWith(map.from) ? map.to + localPath.slice(map.from.length) : localPath;
+}
+
+// Plex partial scan: /library/sections/<id>/refresh?path=<folder> on the section containing the folder
+class PlexServer {
+  constructor(config) {
+    this.name = 'Plex';
+    this.config = config;
+    this.sections = null;
+    this.sectionsFetchedAt = 0;
+    this.axios = axios.create({
+      baseURL: config.url,
+      headers: { 'X-Plex-Token': config.token, Accept: 'application/json' },
+      timeout: 10000
+    });
+  }
+
+  async getSections() {
+    // Library locations rarely change - refetch every 10 minutes
+    if (!this.sections || Date.now() - this.sectionsFetchedAt > 10 * 60 * 1000) {
+      const response = await this.axios.get('/library/sections');
+      this.sections = (response.data?.MediaContainer?.Directory || []).map(d => ({
+        key: d.key,
+        title: d.title,
+        locations: (d.Location || []).map(l => l.path)
+      }));
+      this.sectionsFetchedAt = Date.now();
     }
+    return this.sections;
+  }
 
-    // Check if directory exists and has files
-    let videoFiles = [];
-    let actualDownloadPath = downloadPath;
-    try {
-      if (fs.existsSync(downloadPath)) {
-        const files = fs.readdirSync(downloadPath);
-        videoFiles = files.filter(f => /\.(mkv|mp4|avi|mov)$/i.test(f));
+  async scan(localPath, updateType) {
+    // Plex can only scan folders that exist - use the nearest existing ancestor for deletions
+    let folder = localPath;
+    if (updateType === 'Deleted') {
+      folder = path.dirname(localPath);
+      while (folder !== path.dirname(folder) && !fs.existsSync(folder)) {
+        folder = path.dirname(folder);
       }
+    }
 
-      // If no video files in original path, check for numbered versions (2), (3), etc.
-      if (videoFiles.length === 0) {
-        const numberedPath = this.findNumberedVersion(downloadPath, jobName);
-        if (numberedPath) {
-          actualDownloadPath = numberedPath;
-          const files = fs.readdirSync(numberedPath);
-          videoFiles = files.filter(f => /\.(mkv|mp4|avi|mov)$/i.test(f));
+    const serverPath = mapServerPath(folder, this.config.pathMap);
+    const sections = await this.getSections();
+    let bestSection = null;
+    let bestLength = -1;
+    for (const section of sections) {
+      for (const location of section.locations) {
+        if (serverPath.startsWith(location) && location.length > bestLength) {
+          bestSection = section;
+          bestLength = location.length;
         }
       }
-    } catch (error) {
-      log(this.name, `Error scanning directory ${downloadPath}: ${error.message}`);
     }
 
-    if (videoFiles.length === 0) {
-      log(this.name, `No video files found in season pack directory - download appears incomplete`);
-      await this.triggerSeasonSearch(series, seasonNumber);
+    if (!bestSection) {
+      log(this.name, `No library section contains ${serverPath} - skipping scan`);
       return;
     }
 
-    log(this.name, `Found ${videoFiles.length} video files in season pack (${actualDownloadPath})`);
+    await this.axios.get(`/library/sections/${bestSection.key}/refresh`, { params: { path: serverPath } });
+    log(this.name, `Scan requested for "${bestSection.title}": ${serverPath}`);
+  }
+}
 
-    // Match video files to episodes
-    let registeredCount = 0;
-    let alreadyHaveCount = 0;
+// Jellyfin and Emby share the /Library/Media/Updated endpoint
+class JellyfinServer {
+  constructor(name, config) {
+    this.name = name;
+    this.config = config;
+    this.axios = axios.create({
+      baseURL: config.url,
+      headers: { 'X-Emby-Token': config.apiKey },
+      timeout: 10000
+    });
+  }
 
-    for (const videoFile of videoFiles) {
-      // Parse episode info from the video filename
-      const fileEpisodeInfo = this.parseEpisodeInfo(videoFile);
-      if (!fileEpisodeInfo) {
-        log(this.name, `Could not parse episode info from file: ${videoFile}`);
-        continue;
-      }
+  async scan(localPath, updateType) {
+    const serverPath = mapServerPath(localPath, this.config.pathMap);
+    await this.axios.post('/Library/Media/Updated', {
+      Updates: [{ Path: serverPath, UpdateType: updateType }]
+    });
+    log(this.name, `Scan requested (${updateType}): ${serverPath}`);
+  }
+}
 
-      // Find matching episode in Sonarr
-      const episode = seasonEpisodes.find(
-        e => e.seasonNumber === fileEpisodeInfo.season && e.episodeNumber === fileEpisodeInfo.episode
-      );
+// A malformed path map would rewrite paths wrongly - drop it and scan with unmapped paths
+for (const [name, config] of Object.entries(CONFIG.mediaServers)) {
+  if (config.pathMap && !parsePathMap(config.pathMap)) {
+    log('Main', `Ignoring ${name.toUpperCase()}_PATH_MAP "${config.pathMap}" - expected /local/prefix:/server/prefix`);
+    config.pathMap = '';
+  }
+}
 
-      if (!episode) {
-        log(this.name, `No Sonarr episode found for S${fileEpisodeInfo.season}E${fileEpisodeInfo.episode}`);
-        continue;
-      }
+const mediaServers = [];
+if (CONFIG.mediaServers.plex.url && CONFIG.mediaServers.plex.token) {
+  mediaServers.push(new PlexServer(CONFIG.mediaServers.plex));
+}
+if (CONFIG.mediaServers.jellyfin.url && CONFIG.mediaServers.jellyfin.apiKey) {
+  mediaServers.push(new JellyfinServer('Jellyfin', CONFIG.mediaServers.jellyfin));
+}
+if (CONFIG.mediaServers.emby.url && CONFIG.mediaServers.emby.apiKey) {
+  mediaServers.push(new JellyfinServer('Emby', CONFIG.mediaServers.emby));
+}
 
-      if (episode.hasFile) {
-        alreadyHaveCount++;
-        continue;
-      }
+// Scan requests are collected briefly so a season pack or a large cleanup scans each folder once
+const MEDIA_SCAN_DELAY_MS = 5000;
+const pendingScans = new Map(); // "UpdateType:path" -> { path, updateType }
+let mediaScanTimer = null;
 
-      const fullPath = path.join(actualDownloadPath, videoFile);
-      log(this.name, `Registering ${series.title} S${fileEpisodeInfo.season}E${fileEpisodeInfo.episode}: ${videoFile}`);
+// Queue a media server scan. updateType is 'Created' (folder with new media) or 'Deleted' (removed file).
+function requestMediaScan(localPath, updateType = 'Created') {
+  if (mediaServers.length === 0 || CONFIG.dryRun || !localPath) return;
 
-      if (!CONFIG.dryRun) {
-        const episodeFile = {
-          path: fullPath,
-          seriesId: series.id,
-          seasonNumber: fileEpisodeInfo.season,
-          quality: { quality: { id: 1, name: 'Unknown' } },
-          releaseGroup: '',
-          sceneName: videoFile
-        };
+  pendingScans.set(`${updateType}:${localPath}`, { path: localPath, updateType });
+  if (!mediaScanTimer) {
+    mediaScanTimer = setTimeout(flushMediaScans, MEDIA_SCAN_DELAY_MS);
+  }
+}
 
-        const registered = await this.registerEpisodeFile(episodeFile, [episode.id]);
-        if (registered) {
-          registeredCount++;
-          // Clear any failed queue entries for this episode
-          await this.clearFailedQueueEntries(item =>
-            item.seriesId === series.id &&
-            item.episodeId === episode.id
-          );
-        }
-      } else {
-        log(this.name, `[DRY RUN] Would register: ${fullPath}`);
-        registeredCount++;
+async function flushMediaScans() {
+  mediaScanTimer = null;
+  const scans = Array.from(pendingScans.values());
+  pendingScans.clear();
+
+  for (const server of mediaServers) {
+    for (const scan of scans) {
+      try {
+        await server.scan(scan.path, scan.updateType);
+      } catch (error) {
+        log(server.name, `Scan request failed for ${scan.path}: ${error.message}`);
       }
     }
+  }
+}
 
-    if (registeredCount > 0) {
-      log(this.name, `✅ Registered ${registeredCount} episodes for ${series.title} Season ${seasonNumber}`);
+// Generic API client for *arr services
+class ArrClient {
+  constructor(name, config, apiVersion = 'v3') {
+    this.name = name;
+    this.config = config;
+    this.apiVersion = apiVersion;
+    this.siblingCategories = new Set(); // Categories of other instances of the same app
+    this.historySource = getHistorySource(this);
+    this.invalidMediaFiles = new Set(); // Files already logged as invalid
+    this.axios = axios.create({
+      baseURL: config.url,
+      headers: { 'X-Api-Key': config.apiKey }
+    });
+    this.axios.interceptors.response.use(null, error => {
+      metrics.inc('api_errors_total', { monitor: this.name });
+      return Promise.reject(error);
+    });
+  }
+
+  async getQueue() {
+    try {
+      const response = await this.axios.get(`/api/${this.apiVersion}/queue?includeUnknownSeriesItems=true&pageSize=1000`);
+      return response.data.records || [];
+    } catch (error) {
+      log(this.name, `Error fetching queue: ${error.message}`);
+      return [];
     }
-    if (alreadyHaveCount > 0) {
-      log(this.name, `ℹ️  ${alreadyHaveCount} episodes already had files`);
+  }
+
+  async getGrabHistory() {
+    try {
+      // eventType 1 = grabbed in Radarr, Sonarr and Lidarr
+      const response = await this.axios.get(`/api/${this.apiVersion}/history`, {
+        params: { page: 1, pageSize: 1000, sortKey: 'date', sortDirection: 'descending', eventType: 1 }
+      });
+      const records = response.data?.records || [];
+      return records.filter(r => !r.eventType || r.eventType.toString().toLowerCase() === 'grabbed');
+    } catch (error) {
+      log(this.name, `Error fetching grab history: ${error.message}`);
+      return [];
     }
+  }
 
-    // Check if any episodes are still missing files after processing
-    const missingEpisodes = seasonEpisodes.filter(e => !e.hasFile && e.monitored);
-    const processedFiles = videoFiles.filter(f => this.parseEpisodeInfo(f) !== null);
+  // Build a downloadId -> grab lookup from grabbed history and queue records.
+  // A grab can span several records (one per episode), so IDs are merged.
+  async buildGrabIndex() {
+    const index = new Map();
 
-    if (missingEpisodes.length > processedFiles.length) {
-      log(this.name, `Season pack incomplete: ${missingEpisodes.length} episodes expected, ${processedFiles.length} files found`);
-      // Don't trigger search here - the files might just need to be imported first
-    }
+    const addRecord = (record, source) => {
+      const downloadId = normalizeDownloadId(record.downloadId);
+      if (!downloadId) return;
+
+      let grab = index.get(downloadId);
+      if (!grab) {
+        grab = { source, movieId: null, seriesId: null, episodeIds: [], albumId: null, bookId: null };
+        index.set(downloadId, grab);
+      }
+      if (record.movieId) grab.movieId = record.movieId;
+      if (record.seriesId) grab.seriesId = record.seriesId;
+      if (record.albumId) grab.albumId = record.albumId;
+      if (record.bookId) grab.bookId = record.bookId;
+      if (record.episodeId && !grab.episodeIds.includes(record.episodeId)) {
+        grab.episodeIds.push(record.episodeId);
+      }
+    };
+
+    for (const record of await this.getGrabHistory()) addRecord(record, 'history');
+    for (const record of await this.getQueue()) addRecord(record, 'queue');
+
+    return index;
   }
 
-  getDatabase() {
-    if (!this._db) {
-      if (!fs.existsSync(this.config.dbPath)) {
-        log(this.name, `Database not found at: ${this.config.dbPath}`);
-        return null;
+  getSearchCooldown(searchKey) {
+    try {
+      const lastSearch = state.getLastSearch(this.name, searchKey);
+      if (lastSearch && (Date.now() - lastSearch) < CONFIG.searchCooldownMs) {
+        return lastSearch;
       }
-      this._db = new Database(this.config.dbPath);
+    } catch (error) {
+      log(this.name, `Error reading search cooldown: ${error.message}`);
     }
-    return this._db;
+    return null;
   }
 
-  async ensureSeriesPath(seriesId) {
-    // Ensure series path is set to mount path root for relative paths to work
-    const db = this.getDatabase();
-    if (!db) return false;
-
+  recordSearch(searchKey) {
     try {
-      const series = db.prepare('SELECT Id, Path FROM Series WHERE Id = ?').get(seriesId);
-      if (series && series.Path !== this.config.mountPath) {
-        log(this.name, `Updating series ${seriesId} path from "${series.Path}" to "${this.config.mountPath}"`);
-        db.prepare('UPDATE Series SET Path = ? WHERE Id = ?').run(this.config.mountPath, seriesId);
-      }
-      return true;
+      state.recordSearch(this.name, searchKey);
     } catch (error) {
-      log(this.name, `Error updating series path: ${error.message}`);
-      return false;
+      log(this.name, `Error recording search: ${error.message}`);
     }
   }
 
-  async registerEpisodeFile(episodeFile, episodeIds) {
-    const db = this.getDatabase();
-    if (!db) {
-      log(this.name, 'Database not available, falling back to API (will likely fail on read-only filesystem)');
-      return this.registerEpisodeFileViaApi(episodeFile, episodeIds);
+  countSearch(result, amount = 1) {
+    metrics.inc('searches_total', { monitor: this.name, result }, amount);
+  }
+
+  getHistoryKey(historyItem) {
+    return getSlotDownloadId(historyItem) || historyItem.job_name || historyItem.name || '';
+  }
+
+  // Remember what happened to a history slot (keyed by nzo_id, falling back to the job name)
+  recordOutcome(historyItem, outcome, detail = null) {
+    const jobName = historyItem.job_name || historyItem.name || '';
+    const isUnmatched = outcome === 'unmatched' || outcome === 'unparsed';
+    if (isUnmatched) {
+      metrics.inc('unmatched_total', { monitor: this.name });
     }
 
+    const historyKey = this.getHistoryKey(historyItem);
+    if (!historyKey) return;
     try {
-      // Ensure series path is set correctly
-      await this.ensureSeriesPath(episodeFile.seriesId);
-
-      // Get file size
-      let fileSize = 0;
-      try {
-        const stats = fs.statSync(episodeFile.path);
-        fileSize = stats.size;
-      } catch (e) {
-        log(this.name, `Could not get file size: ${e.message}`);
+      // Only notify about an unmatched release once, not on every recheck
+      const previous = state.getHistoryOutcome(this.name, historyKey);
+      if (isUnmatched && previous?.Outcome !== outcome) {
+        notify('unmatched', this.name, jobName);
       }
 
-      // Calculate relative path from mount path
-      const relativePath = episodeFile.path.replace(this.config.mountPath + '/', '');
+      state.recordHistoryOutcome(this.name, historyKey, jobName, outcome, detail, getSlotCompletedAt(historyItem));
 
-      // Extract release group from scene name
-      const releaseGroupMatch = episodeFile.sceneName?.match(/-([A-Za-z0-9]+)$/);
-      const releaseGroup = releaseGroupMatch ? releaseGroupMatch[1] : '';
+      if (detail && outcome === 'incomplete') {
+        this.trackFailure(detail, historyKey, jobName);
+      } else if (detail && (outcome === 'registered' || outcome === 'path_updated')) {
+        state.clearFailures(this.name, detail);
+      }
+    } catch (error) {
+      log(this.name, `Error recording history outcome: ${error.message}`);
+    }
+  }
+
+  // Notify once an item has failed with NOTIFY_FAILURE_THRESHOLD different releases
+  trackFailure(itemKey, historyKey, jobName) {
+    const { count, isNew } = state.recordFailure(this.name, itemKey, historyKey);
+    if (isNew && count >= CONFIG.notifications.failureThreshold) {
+      log(this.name, `${count} incomplete downloads for ${itemKey} (latest: ${jobName})`);
+      notify('repeated_failure', this.name, `${count} incomplete downloads for ${itemKey} (latest: ${jobName})`);
+    }
+  }
+
+  isOwnCategory(historyItem) {
+    const category = (historyItem.category || historyItem.Category || '').toLowerCase();
+    if (this.config.categories.includes(category)) return true;
+    // An exact match on another instance wins over a partial match here (movies-4k vs movies)
+    if (this.siblingCategories.has(category)) return false;
+    return this.config.categories.some(cat => category.includes(cat));
+  }
+
+  // A slot needs processing unless it already reached a final outcome for the same completion,
+  // or it was checked within the recheck interval
+  needsProcessing(historyItem) {
+    if (!CONFIG.incrementalHistory) return true;
+
+    const historyKey = this.getHistoryKey(historyItem);
+    if (!historyKey) return true;
+
+    let previous;
+    try {
+      previous = state.getHistoryOutcome(this.name, historyKey);
+    } catch (error) {
+      log(this.name, `Error reading history outcome: ${error.message}`);
+      return true;
+    }
+
+    if (!previous || previous.CompletedAt !== getSlotCompletedAt(historyItem)) return true;
+    if (FINAL_OUTCOMES.has(previous.Outcome)) return false;
+    return (Date.now() - previous.UpdatedAt) >= CONFIG.historyRecheckMs;
+  }
+
+  // Narrow the full history down to this monitor's new or changed slots
+  // (force skips the state check, e.g. for webhook-triggered runs; fullPoll updates the
+  // history gauges, which webhook runs leave alone since they only see one slot)
+  filterPendingHistory(nzbdavHistory, { force = false, fullPoll = false } = {}) {
+    const ownItems = nzbdavHistory.filter(item => getSlotStatus(item) === 'completed' && this.isOwnCategory(item));
+    const pending = force ? ownItems : ownItems.filter(item => this.needsProcessing(item));
+
+    if (fullPoll) {
+      metrics.set('history_slots', { monitor: this.name }, ownItems.length);
+      metrics.set('history_slots_pending', { monitor: this.name }, pending.length);
+    }
+
+    if (pending.length < ownItems.length) {
+      log(this.name, `Processing ${pending.length} new/changed of ${ownItems.length} history items`);
+    }
+    return pending;
+  }
+
+  recordRegistration(filePath, itemKey, fileId = null) {
+    try {
+      state.recordRegistration(this.name, filePath, itemKey, fileId);
+    } catch (error) {
+      log(this.name, `Error recording registration: ${error.message}`);
+    }
+  }
+
+  findGrab(grabIndex, historyItem) {
+    const downloadId = getSlotDownloadId(historyItem);
+    return downloadId ? grabIndex.get(downloadId) || null : null;
+  }
+
+  // All *arr history records (grabbed, failed, imported, ...) for one download
+  async getDownloadHistory(historyItem) {
+    const downloadId = getSlotDownloadId(historyItem);
+    const response = await this.axios.get(`/api/${this.apiVersion}/history`, {
+      params: {
+        page: 1,
+        pageSize: 100,
+        downloadId: historyItem.nzo_id || historyItem.NzoId || historyItem.nzoId,
+        includeEpisode: true
+      }
+    });
+    return (response.data?.records || []).filter(r => normalizeDownloadId(r.downloadId) === downloadId);
+  }
+
+  // History records for a slot's release: by download ID, or by grabbed release title
+  // when the slot has none (e.g. directory history sources)
+  async getReleaseHistory(historyItem) {
+    if (getSlotDownloadId(historyItem)) {
+      return this.getDownloadHistory(historyItem);
+    }
+
+    const jobName = (historyItem.job_name || historyItem.name || '').toLowerCase();
+    const grabs = await this.getGrabHistory();
+    const grab = grabs.find(r => (r.sourceTitle || '').toLowerCase() === jobName);
+    return grab ? [grab] : [];
+  }
+
+  // Mark the grab behind a completed-but-empty download as failed, so the *arr blocklists
+  // the release instead of grabbing the same broken NZB again (BLOCKLIST_INCOMPLETE).
+  // Returns 'marked', 'already_failed' or false.
+  async blocklistRelease(historyItem) {
+    if (!historyItem || !CONFIG.blocklistIncomplete) return false;
+
+    const jobName = historyItem.job_name || historyItem.name || '';
+    let records;
+    try {
+      records = await this.getReleaseHistory(historyItem);
+    } catch (error) {
+      log(this.name, `Error fetching history for ${jobName}: ${error.message}`);
+      return false;
+    }
+
+    const grab = records.find(r => (r.eventType || '').toString().toLowerCase() === 'grabbed');
+    if (!grab) {
+      log(this.name, `No grab found for "${jobName}" - can't blocklist it`);
+      return false;
+    }
+    if (records.some(r => (r.eventType || '').toString().toLowerCase() === 'downloadfailed')) {
+      return 'already_failed'; // Already failed and blocklisted
+    }
+
+    if (CONFIG.dryRun) {
+      log(this.name, `[DRY RUN] Would blocklist release: ${jobName}`);
+      return false;
+    }
+
+    if (await this.markHistoryFailed(grab.id)) {
+      log(this.name, `✅ Blocklisted release: ${jobName}`);
+      metrics.inc('blocklisted_releases_total', { monitor: this.name });
+      return 'marked';
+    }
+    return false;
+  }
+
+  // Blocklist the broken release ahead of a re-search. True when marking it failed already
+  // makes the *arr search again ("Redownload Failed" on), so the caller skips its own search
+  // instead of searching twice; the search still counts for the cooldown.
+  async blocklistBeforeSearch(historyItem, searchKey) {
+    if (await this.blocklistRelease(historyItem) !== 'marked') return false;
+    if (!(await this.redownloadsFailed())) return false;
+
+    this.recordSearch(searchKey);
+    this.countSearch('delegated');
+    log(this.name, `Leaving the search to ${this.name} - it searches again after a failed download (Redownload Failed)`);
+    return true;
+  }
+
+  // The *arr's "Redownload Failed" download client setting, cached for ten minutes
+  async redownloadsFailed() {
+    if (this._redownloadFailed && Date.now() - this._redownloadFailed.fetchedAt < 10 * 60 * 1000) {
+      return this._redownloadFailed.value;
+    }
+    try {
+      const response = await this.axios.get(`/api/${this.apiVersion}/config/downloadclient`);
+      const value = response.data?.autoRedownloadFailed === true;
+      this._redownloadFailed = { value, fetchedAt: Date.now() };
+      return value;
+    } catch (error) {
+      log(this.name, `Error fetching download client settings: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Search cooldown key for the item a grab was for - the same keys the search triggers use
+  getGrabSearchKey(grabRecords) {
+    const record = grabRecords[0];
+    return record.movieId || record.albumId || record.bookId || null;
+  }
+
+  async markHistoryFailed(historyId) {
+    try {
+      await this.axios.post(`/api/${this.apiVersion}/history/failed/${historyId}`);
+      return true;
+    } catch (error) {
+      log(this.name, `Error marking history ${historyId} as failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  // Mark the grabs of failed downloads as failed, so the *arr blocklists the release and
+  // searches for another one (MARK_FAILED_DOWNLOADS, limited by the search cooldown)
+  async handleFailedDownloads(nzbdavHistory, { force = false } = {}) {
+    if (!CONFIG.markFailedDownloads) return;
+
+    const failed = nzbdavHistory.filter(item => getSlotStatus(item) === 'failed' && this.isOwnCategory(item));
+    const pending = force ? failed : failed.filter(item => this.needsProcessing(item));
+
+    for (const historyItem of pending) {
+      const jobName = historyItem.job_name || historyItem.name || '';
+      const reason = historyItem.fail_message || historyItem.FailMessage || 'download failed';
+
+      let records;
+      try {
+        records = await this.getDownloadHistory(historyItem);
+      } catch (error) {
+        log(this.name, `Error fetching history for failed download ${jobName}: ${error.message}`);
+        metrics.inc('failed_downloads_total', { monitor: this.name, result: 'error' });
+        continue;
+      }
+
+      const grabs = records.filter(r => (r.eventType || '').toString().toLowerCase() === 'grabbed');
+      if (grabs.length === 0) {
+        log(this.name, `Failed download not grabbed by ${this.name}: ${jobName}`);
+        metrics.inc('failed_downloads_total', { monitor: this.name, result: 'untracked' });
+        this.recordOutcome(historyItem, 'failed_untracked');
+        continue;
+      }
+
+      if (records.some(r => (r.eventType || '').toString().toLowerCase() === 'downloadfailed')) {
+        metrics.inc('failed_downloads_total', { monitor: this.name, result: 'already_failed' });
+        this.recordOutcome(historyItem, 'already_failed');
+        continue;
+      }
+
+      // Marking a grab failed makes the *arr search again, so it shares the search cooldown
+      const searchKey = this.getGrabSearchKey(grabs);
+      const lastSearch = searchKey ? this.getSearchCooldown(searchKey) : null;
+      if (lastSearch) {
+        const hoursAgo = ((Date.now() - lastSearch) / (60 * 60 * 1000)).toFixed(1);
+        log(this.name, `Not marking failed download "${jobName}" yet - searched ${hoursAgo}h ago`);
+        metrics.inc('failed_downloads_total', { monitor: this.name, result: 'suppressed' });
+        this.recordOutcome(historyItem, 'failed_suppressed', searchKey);
+        continue;
+      }
+
+      log(this.name, `Download failed in ${this.historySource.name} (${reason}): ${jobName}`);
+
+      if (CONFIG.dryRun) {
+        log(this.name, `[DRY RUN] Would mark grab as failed: ${jobName}`);
+        continue;
+      }
+
+      if (await this.markHistoryFailed(grabs[0].id)) {
+        if (searchKey) this.recordSearch(searchKey);
+        log(this.name, `✅ Marked as failed (blocklisted): ${jobName}`);
+        notify('download_failed', this.name, `${jobName} (${reason})`);
+        metrics.inc('failed_downloads_total', { monitor: this.name, result: 'marked' });
+        this.recordOutcome(historyItem, 'marked_failed', searchKey);
+      } else {
+        metrics.inc('failed_downloads_total', { monitor: this.name, result: 'error' });
+      }
+    }
+  }
+
+  async checkStatus() {
+    try {
+      const response = await this.axios.get(`/api/${this.apiVersion}/system/status`, { timeout: 5000 });
+      return { reachable: true, version: response.data?.version || null };
+    } catch (error) {
+      return { reachable: false, error: error.message };
+    }
+  }
+
+  // Mount, API and (for database-backed monitors) database state for the readiness endpoint
+  async getHealth() {
+    const mount = isMountReady(this.config.mountPath);
+    const api = await this.checkStatus();
+    const health = {
+      mountPath: this.config.mountPath,
+      mountReady: mount.ready,
+      mountReason: mount.reason,
+      reachable: api.reachable,
+      version: api.version || null,
+      error: api.error || null
+    };
+
+    if (typeof this.getDatabase === 'function') {
+      try {
+        // Checked here first - getDatabase logs a missing file, which would flood the log on every probe
+        const db = (this._db || fs.existsSync(this.config.dbPath)) ? this.getDatabase() : null;
+        health.databaseAvailable = !!db && !!db.prepare('SELECT 1').get();
+        if (!db) health.databaseError = `Database not found at: ${this.config.dbPath}`;
+      } catch (error) {
+        health.databaseAvailable = false;
+        health.databaseError = error.message;
+      }
+    }
+
+    health.ready = health.mountReady && health.reachable && health.databaseAvailable !== false;
+    return health;
+  }
+
+  async clearFailedQueueEntries(filterFn) {
+    try {
+      const queue = await this.getQueue();
+      const failedEntries = queue.filter(item => item.status === 'failed' && filterFn(item));
+
+      for (const entry of failedEntries) {
+        await this.removeFromQueue(entry.id);
+        log(this.name, `Cleared failed queue entry: ${entry.title}`);
+        metrics.inc('failed_queue_entries_cleared_total', { monitor: this.name });
+      }
+
+      return failedEntries.length;
+    } catch (error) {
+      log(this.name, `Error clearing failed queue entries: ${error.message}`);
+      return 0;
+    }
+  }
+
+  async getItem(id, endpoint) {
+    try {
+      const response = await this.axios.get(`/api/${this.apiVersion}/${endpoint}/${id}`);
+      return response.data;
+    } catch (error) {
+      log(this.name, `Error fetching item ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async updateItem(id, endpoint, data) {
+    try {
+      const response = await this.axios.put(`/api/${this.apiVersion}/${endpoint}/${id}?moveFiles=false`, data);
+      return response.data;
+    } catch (error) {
+      log(this.name, `Error updating item ${id}: ${error.message}`);
+      return null;
+    }
+  }
+
+  async triggerCommand(command) {
+    try {
+      await this.axios.post(`/api/${this.apiVersion}/command`, command);
+      return true;
+    } catch (error) {
+      log(this.name, `Error triggering command: ${error.message}`);
+      return false;
+    }
+  }
+
+  async removeFromQueue(id) {
+    try {
+      await this.axios.delete(`/api/${this.apiVersion}/queue/${id}?removeFromClient=false&blocklist=false`);
+      return true;
+    } catch (error) {
+      log(this.name, `Error removing from queue: ${error.message}`);
+      return false;
+    }
+  }
+
+  findActualPath(releaseName, mountPath) {
+    try {
+      if (!fs.existsSync(mountPath)) {
+        log(this.name, `Mount path doesn't exist: ${mountPath}`);
+        return null;
+      }
+
+      const directories = fs.readdirSync(mountPath, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory())
+        .map(dirent => dirent.name);
+
+      // First try exact match (release name matches directory name)
+      const releaseNormalized = releaseName.toLowerCase().replace(/[^a-z0-9]/g, '');
+      let exactMatchFound = false;
+      for (const dir of directories) {
+        const dirNormalized = dir.toLowerCase().replace(/[^a-z0-9]/g, '');
+        if (dirNormalized === releaseNormalized) {
+          exactMatchFound = true;
+          const fullPath = path.join(mountPath, dir);
+          if (this.hasMediaFiles(fullPath)) {
+            log(this.name, `Found exact match: ${fullPath}`);
+            return fullPath;
+          }
+          // Exact match exists but no media files - check for numbered versions
+          const numberedPath = this.findNumberedVersion(fullPath, dir);
+          if (numberedPath) {
+            return numberedPath;
+          }
+        }
+      }
+
+      // If no exact match directory exists, check if numbered versions exist directly
+      if (!exactMatchFound) {
+        const basePath = path.join(mountPath, releaseName);
+        const numberedPath = this.findNumberedVersion(basePath, releaseName);
+        if (numberedPath) {
+          return numberedPath;
+        }
+      }
+
+      // Fall back to word-based matching
+      const releaseWords = extractTitleWords(releaseName);
+      const releaseYear = extractYear(releaseName);
+
+      let bestMatch = null;
+      let bestScore = 0;
+      const MIN_SCORE = 0.7; // Higher threshold for directory matching
+
+      for (const dir of directories) {
+        const dirWords = extractTitleWords(dir);
+        const dirYear = extractYear(dir);
+
+        let score = calculateMatchScore(releaseWords, dirWords);
+
+        // Boost score if years match
+        if (releaseYear && dirYear && releaseYear === dirYear) {
+          score += 0.2;
+        }
+
+        if (score > bestScore && score >= MIN_SCORE) {
+          const fullPath = path.join(mountPath, dir);
+          if (this.hasMediaFiles(fullPath)) {
+            bestScore = score;
+            bestMatch = fullPath;
+          }
+        }
+      }
+
+      if (bestMatch) {
+        log(this.name, `Found matching path (score: ${bestScore.toFixed(2)}): ${bestMatch}`);
+        return bestMatch;
+      }
+
+      log(this.name, `No matching directory found for: ${releaseName}`);
+      return null;
+    } catch (error) {
+      log(this.name, `Error finding actual path: ${error.message}`);
+      return null;
+    }
+  }
+
+  // A folder counts as having media when it holds a video that isn't a sample, trailer or
+  // featurette (searched into subfolders), or audio files at its top level
+  hasMediaFiles(dirPath) {
+    try {
+      if (this.hasVideoFiles(dirPath)) return true;
+      const files = fs.readdirSync(dirPath);
+      return files.some(f => /\.(flac|mp3|m4a)$/i.test(f) && this.isValidMediaFile(path.join(dirPath, f)));
+    } catch {
+      return false;
+    }
+  }
+
+  getVideoFiles(dirPath, basePath = null, maxDepth = 3) {
+    if (basePath === null) basePath = dirPath;
+    try {
+      const results = [];
+      const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+      for (const entry of entries) {
+        const fullPath = path.join(dirPath, entry.name);
+        if (entry.isFile() && /\.(mkv|mp4|avi|mov)$/i.test(entry.name) && this.isValidMediaFile(fullPath)) {
+          results.push(path.relative(basePath, fullPath));
+        } else if (entry.isDirectory() && maxDepth > 0) {
+          results.push(...this.getVideoFiles(fullPath, basePath, maxDepth - 1));
+        }
+      }
+      return results;
+    } catch {
+      return [];
+    }
+  }
+
+  // Like rankVideoFiles(...).length > 0, but stops at the first valid video and doesn't descend
+  // into extras folders - it runs for every candidate folder in path lookups
+  hasVideoFiles(dirPath, releaseName = path.basename(dirPath), basePath = null, maxDepth = 3) {
+    if (basePath === null) basePath = dirPath;
+    try {
+      const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+      for (const entry of entries) {
+        const fullPath = path.join(dirPath, entry.name);
+        if (getExtraFileType(path.relative(basePath, fullPath), releaseName)) continue;
+        if (entry.isFile() && /\.(mkv|mp4|avi|mov)$/i.test(entry.name) && this.isValidMediaFile(fullPath)) {
+          return true;
+        }
+        if (entry.isDirectory() && maxDepth > 0 && this.hasVideoFiles(fullPath, releaseName, basePath, maxDepth - 1)) {
+          return true;
+        }
+      }
+      return false;
+    } catch {
+      return false;
+    }
+  }
+
+  // Video files in a download (relative paths, subfolders included), best candidate first.
+  // Samples, trailers and featurettes - by file or folder name - are logged and left out unless
+  // the marker is part of the title or release name. Files much smaller than the largest rank
+  // last, then names matching the release beat obfuscated ones, then larger beats smaller.
+  rankVideoFiles(dirPath, releaseName = path.basename(dirPath), title = '') {
+    const releaseWords = extractTitleWords(releaseName);
+    const candidates = this.getVideoFiles(dirPath)
+      .filter(file => {
+        const extraType = getExtraFileType(file, `${title} ${releaseName}`);
+        if (extraType) log(this.name, `Skipping ${extraType}: ${file}`);
+        return !extraType;
+      })
+      .map(file => {
+        let size = 0;
+        try {
+          size = fs.statSync(path.join(dirPath, file)).size;
+        } catch {
+          // Ranked as the smallest
+        }
+        const nameScore = calculateMatchScore(releaseWords, extractTitleWords(path.basename(file)));
+        return { file, size, namesRelease: nameScore >= 0.5 };
+      });
+
+    const largest = Math.max(0, ...candidates.map(c => c.size));
+    for (const candidate of candidates) {
+      candidate.fullSize = candidate.size >= largest * MIN_VIDEO_SIZE_RATIO;
+    }
+
+    return candidates
+      .sort((a, b) => (b.fullSize - a.fullSize) || (b.namesRelease - a.namesRelease) || (b.size - a.size))
+      .map(c => c.file);
+  }
+
+  // Container-header check (validateMediaFile); each invalid file is logged once
+  isValidMediaFile(filePath) {
+    const { valid, reason } = validateMediaFile(filePath);
+    if (valid) {
+      this.invalidMediaFiles.delete(filePath);
+    } else if (!this.invalidMediaFiles.has(filePath)) {
+      this.invalidMediaFiles.add(filePath);
+      log(this.name, `Ignoring invalid media file (${reason}): ${filePath}`);
+      metrics.inc('invalid_media_files_total', { monitor: this.name });
+    }
+    return valid;
+  }
+
+  // Find directory with numbered suffix (e.g., "Release (2)", "Release (3)") that has media files;
+  // hasMedia decides what counts (audio or book monitors pass their own check)
+  findNumberedVersion(basePath, baseName, hasMedia = dirPath => this.hasMediaFiles(dirPath)) {
+    try {
+      const parentDir = path.dirname(basePath);
+      if (!fs.existsSync(parentDir)) return null;
+
+      const directories = fs.readdirSync(parentDir, { withFileTypes: true })
+        .filter(dirent => dirent.isDirectory())
+        .map(dirent => dirent.name);
+
+      // Look for numbered versions: "baseName (2)", "baseName (3)", etc.
+      const numberedPattern = new RegExp(`^${baseName.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')} \\((\\d+)\\)$`);
+
+      const numberedVersions = directories
+        .filter(dir => numberedPattern.test(dir))
+        .map(dir => ({
+          name: dir,
+          number: parseInt(dir.match(numberedPattern)[1])
+        }))
+        .sort((a, b) => b.number - a.number); // Sort descending (newest first)
+
+      // Return the first numbered version that has media files
+      for (const version of numberedVersions) {
+        const fullPath = path.join(parentDir, version.name);
+        if (hasMedia(fullPath)) {
+          log(this.name, `Found numbered version with media: ${fullPath}`);
+          return fullPath;
+        }
+      }
+
+      return null;
+    } catch (error) {
+      log(this.name, `Error finding numbered version: ${error.message}`);
+      return null;
+    }
+  }
+
+  normalizeTitle(title) {
+    // Remove special characters, year, quality tags, etc. for matching
+    return title
+      .toLowerCase()
+      .replace(/\b(19|20)\d{2}\b/g, '') // Remove years
+      .replace(/\b(480|720|1080|2160)p?\b/gi, '') // Remove resolutions
+      .replace(/\b(bluray|webrip|webdl|hdtv|brrip|dvdrip|remux|avc|hevc|x264|x265)\b/gi, '')
+      .replace(/\b(dts|ac3|aac|ma|flac|mp3|m4a)\b/gi, '') // Remove audio codecs
+      .replace(/[^a-z0-9]/g, '')
+      .trim();
+  }
+}
+
+// History sources turn a downloader's completed downloads into SABnzbd-style slots
+// ({ nzo_id, name, category, status, completed, storage }) for the monitors
+class HistorySource {
+  constructor(name) {
+    this.name = name;
+    this.reachable = null;
+    this.error = null;
+    this.lastWindowFetchAt = null;
+  }
+
+  // Returns finished (completed or failed) slots, or null if the fetch failed (so an outage isn't mistaken for
+  // an empty history). Windowed fetches - polls with HISTORY_SINCE_LAST_POLL - only return
+  // slots completed since the previous windowed fetch.
+  async fetchHistory({ windowed = false } = {}) {
+    const useWindow = windowed && CONFIG.historySinceLastPoll && this.lastWindowFetchAt;
+    // Overlap by one poll interval so slots completing during the previous fetch aren't missed
+    const since = useWindow ? Math.floor((this.lastWindowFetchAt - CONFIG.pollInterval) / 1000) : 0;
+    const fetchStartedAt = Date.now();
+
+    try {
+      let slots = await this.fetchSlots(since);
+      if (since) {
+        slots = slots.filter(slot => {
+          const completedAt = getSlotCompletedAt(slot);
+          return completedAt === 0 || completedAt >= since;
+        });
+      }
+
+      this.reachable = true;
+      this.error = null;
+      if (windowed) {
+        this.lastWindowFetchAt = fetchStartedAt;
+      }
+      metrics.set('history_source_up', { source: this.name }, 1);
+      return slots;
+    } catch (error) {
+      metrics.inc('api_errors_total', { monitor: this.name });
+      metrics.set('history_source_up', { source: this.name }, 0);
+      this.reachable = false;
+      this.error = error.message;
+      log(this.name, `Error fetching history: ${error.message}`);
+      return null;
+    }
+  }
+
+  // since: unix seconds (0 = no window); sources may stop early once they reach older slots
+  async fetchSlots(since) {
+    return [];
+  }
+}
+
+// SABnzbd API (mode=history) - also what NzbDAV exposes
+class SabnzbdHistorySource extends HistorySource {
+  constructor(name, config) {
+    super(name);
+    this.config = config;
+  }
+
+  // Pages through history (newest first) with start/limit until the history limit, the end of
+  // the history, or a slot older than the window is reached. A page with no new slots also
+  // ends it, so a server that ignores start/limit can't keep the loop going forever.
+  async fetchSlots(since) {
+    const historyLimit = this.config.historyLimit;
+    const pageSize = Math.max(1, this.config.pageSize || 50);
+    const headers = {};
+    if (this.config.apiKey) {
+      headers['x-api-key'] = this.config.apiKey;
+    }
+
+    const slots = [];
+    const seen = new Set();
+    let start = 0;
+    while (true) {
+      const limit = historyLimit > 0 ? Math.min(pageSize, historyLimit - start) : pageSize;
+      const response = await axios.get(`${this.config.url}/api`, {
+        params: {
+          mode: 'history',
+          apikey: this.config.apiKey,
+          output: 'json',
+          start,
+          limit
+        },
+        headers,
+        timeout: this.config.timeoutMs
+      });
+
+      const history = response.data?.history || response.data?.History;
+      if (!history) {
+        throw new Error('Response has no history object');
+      }
+      const page = history.slots || history.Slots || [];
+      const total = parseInt(history.noofslots ?? history.NoOfSlots ?? 0) || 0;
+
+      const newSlots = page.filter(slot => {
+        const key = getSlotDownloadId(slot) || JSON.stringify(slot);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+      slots.push(...newSlots);
+      start += page.length;
+
+      if (page.length < limit || newSlots.length === 0) break;
+      if (historyLimit > 0 && start >= historyLimit) break;
+      if (total > 0 && start >= total) break;
+      if (since && page.some(slot => getSlotCompletedAt(slot) > 0 && getSlotCompletedAt(slot) < since)) break;
+    }
+
+    // Only return finished items
+    return slots.filter(slot => ['completed', 'failed'].includes(getSlotStatus(slot)));
+  }
+}
+
+// NZBGet JSON-RPC history
+class NzbgetHistorySource extends HistorySource {
+  constructor(name, config) {
+    super(name);
+    this.config = config;
+  }
+
+  async fetchSlots() {
+    const response = await axios.post(`${this.config.url}/jsonrpc`, {
+      method: 'history',
+      params: [false], // false = leave out hidden records
+      id: 1
+    }, {
+      auth: this.config.username ? { username: this.config.username, password: this.config.password } : undefined,
+      timeout: this.config.timeoutMs
+    });
+
+    if (response.data?.error) {
+      throw new Error(response.data.error.message || JSON.stringify(response.data.error));
+    }
+
+    return (response.data?.result || [])
+      .filter(item => item.Kind === 'NZB' && /^(SUCCESS|FAILURE)\//i.test(item.Status || ''))
+      .map(item => {
+        // The *arr apps tag NZBGet jobs with a "drone" parameter and use it as the download ID
+        const drone = (item.Parameters || []).find(p => p.Name === 'drone');
+        const succeeded = item.Status.toUpperCase().startsWith('SUCCESS');
+        return {
+          nzo_id: drone?.Value || String(item.NZBID),
+          name: item.Name || item.NZBName,
+          category: item.Category || '',
+          status: succeeded ? 'Completed' : 'Failed',
+          fail_message: succeeded ? '' : item.Status,
+          completed: item.HistoryTime || 0,
+          storage: item.FinalDir || item.DestDir || ''
+        };
+      });
+  }
+}
+
+// Treats every folder directly under a mount path as a completed download
+// (for setups without a downloader history, e.g. debrid or other streaming mounts)
+class DirectoryHistorySource extends HistorySource {
+  constructor(name, mountPath, category) {
+    super(name);
+    this.mountPath = mountPath;
+    this.category = category;
+  }
+
+  async fetchSlots() {
+    const entries = await fs.promises.readdir(this.mountPath, { withFileTypes: true });
+    const maxAgeMs = CONFIG.directorySource.maxAgeMs;
+    const slots = [];
+
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.')) continue;
+
+      const folderPath = path.join(this.mountPath, entry.name);
+      try {
+        const stats = await fs.promises.stat(folderPath);
+        if (maxAgeMs > 0 && Date.now() - stats.mtimeMs > maxAgeMs) continue;
+
+        slots.push({
+          name: entry.name,
+          category: this.category,
+          status: 'Completed',
+          completed: Math.floor(stats.mtimeMs / 1000),
+          storage: folderPath
+        });
+      } catch (error) {
+        log(this.name, `Error reading ${folderPath}: ${error.message}`);
+      }
+    }
+
+    return slots;
+  }
+}
+
+const HISTORY_SOURCE_TYPES = ['nzbdav', 'sabnzbd', 'nzbget', 'directory'];
+const sharedHistorySources = new Map();
+
+// Downloader sources are shared by every monitor that selects them; directory sources are per monitor
+function getHistorySource(monitor) {
+  const type = monitor.config.historySource;
+
+  if (type === 'directory') {
+    return new DirectoryHistorySource(`${monitor.name} directory`, monitor.config.mountPath, monitor.config.categories[0]);
+  }
+
+  if (!sharedHistorySources.has(type)) {
+    if (type === 'nzbdav') {
+      sharedHistorySources.set(type, new SabnzbdHistorySource('NzbDAV', CONFIG.nzbdav));
+    } else if (type === 'sabnzbd') {
+      sharedHistorySources.set(type, new SabnzbdHistorySource('SABnzbd', CONFIG.sabnzbd));
+    } else if (type === 'nzbget') {
+      sharedHistorySources.set(type, new NzbgetHistorySource('NZBGet', CONFIG.nzbget));
+    }
+  }
+  return sharedHistorySources.get(type);
+}
+
+// Radarr-specific handler
+class RadarrMonitor extends ArrClient {
+  async getAllMovies() {
+    try {
+      const response = await this.axios.get(`/api/${this.apiVersion}/movie`);
+      return response.data || [];
+    } catch (error) {
+      log(this.name, `Error fetching movies: ${error.message}`);
+      return [];
+    }
+  }
+
+  async triggerSearchForIncompleteDownload(movie, originalRelease, historyItem = null) {
+    // Check cooldown to avoid repeated searches (persisted across restarts)
+    const lastSearch = this.getSearchCooldown(movie.id);
+    if (lastSearch) {
+      const hoursAgo = ((Date.now() - lastSearch) / (60 * 60 * 1000)).toFixed(1);
+      log(this.name, `Skipping search for "${movie.title}" - already searched ${hoursAgo}h ago`);
+      this.countSearch('suppressed');
+      return;
+    }
+
+    log(this.name, `Triggering search for incomplete download: "${movie.title}" (was: ${originalRelease})`);
+
+    // Blocklist the broken release first so the search doesn't grab it again
+    if (await this.blocklistBeforeSearch(historyItem, movie.id)) return;
+
+    if (!CONFIG.dryRun) {
+      const success = await this.triggerCommand({
+        name: 'MoviesSearch',
+        movieIds: [movie.id]
+      });
+
+      if (success) {
+        this.recordSearch(movie.id);
+        log(this.name, `✅ Search triggered for: ${movie.title}`);
+        notify('search_triggered', this.name, movie.title);
+        this.countSearch('triggered');
+      } else {
+        log(this.name, `❌ Failed to trigger search for: ${movie.title}`);
+        this.countSearch('failed');
+      }
+    } else {
+      log(this.name, `[DRY RUN] Would trigger search for: ${movie.title}`);
+    }
+  }
+
+  // Match a history slot to a movie: exact grab by download ID first, fuzzy title as fallback
+  matchMovie(historyItem, jobName, movies, grabIndex) {
+    const grab = this.findGrab(grabIndex, historyItem);
+    if (grab?.movieId) {
+      const movie = movies.find(m => m.id === grab.movieId);
+      if (movie) {
+        return { movie, method: 'download_id', strategy: `download ID (${grab.source})` };
+      }
+    }
+
+    // Extract year from release name for better matching
+    const releaseYear = extractYear(jobName);
+
+    // Use improved word-based matching
+    const { match: movie, score } = findBestMatch(
+      jobName,
+      releaseYear,
+      movies,
+      m => m.title,
+      m => m.year
+    );
+
+    return { movie, method: 'fuzzy', strategy: `fuzzy title, score: ${score.toFixed(2)}` };
+  }
+
+  async processHistory(nzbdavHistory, { force = false, fullPoll = false } = {}) {
+    // Only configured categories, skipping slots already handled on earlier polls
+    const pendingHistory = this.filterPendingHistory(nzbdavHistory, { force, fullPoll });
+    if (pendingHistory.length === 0) return;
+
+    const movies = await this.getAllMovies();
+    const grabIndex = await this.buildGrabIndex();
+
+    for (const historyItem of pendingHistory) {
+      const jobName = historyItem.job_name || historyItem.name || '';
+
+      const { movie, method, strategy } = this.matchMovie(historyItem, jobName, movies, grabIndex);
+
+      if (!movie) {
+        log(this.name, `No matching movie found for: ${jobName}`);
+        this.recordOutcome(historyItem, 'unmatched');
+        continue;
+      }
+
+      log(this.name, `Matched "${jobName}" to "${movie.title}" (${strategy})`);
+      metrics.inc('matches_total', { monitor: this.name, strategy: method });
+
+      // Skip if already has file
+      if (movie.hasFile) {
+        this.recordOutcome(historyItem, 'has_file', `movie:${movie.id}`);
+        continue;
+      }
+
+      const actualPath = this.findActualPath(jobName, this.config.mountPath);
+
+      // If no media files found on disk, the download likely failed - trigger a new search
+      if (!actualPath) {
+        log(this.name, `No media files found for "${movie.title}" - download appears incomplete`);
+        this.recordOutcome(historyItem, 'incomplete', `movie:${movie.id}`);
+        await this.triggerSearchForIncompleteDownload(movie, jobName, historyItem);
+        continue;
+      }
+
+      if (actualPath === movie.path) {
+        log(this.name, `Path already correct: ${movie.title}`);
+        this.recordOutcome(historyItem, 'path_correct', `movie:${movie.id}`);
+        continue;
+      }
+
+      log(this.name, `Updating path from ${movie.path} to ${actualPath}`);
+
+      if (!CONFIG.dryRun) {
+        movie.path = actualPath;
+        const updated = await this.updateItem(movie.id, 'movie', movie);
+
+        if (updated) {
+          metrics.inc('path_updates_total', { monitor: this.name });
+          notify('path_updated', this.name, `${movie.title} → ${actualPath}`);
+          requestMediaScan(actualPath);
+          this.recordOutcome(historyItem, 'path_updated', `movie:${movie.id}`);
+          this.recordRegistration(actualPath, `movie:${movie.id}`);
+          // The rescan imports the movie file and, with it, the subtitles and extras in the folder
+          log(this.name, `Triggering refresh for: ${movie.title}`);
+          await this.triggerCommand({ name: 'RefreshMovie', movieIds: [movie.id] });
+          // Clear any failed queue entries for this movie
+          await this.clearFailedQueueEntries(item => item.movieId === movie.id);
+        }
+      } else {
+        log(this.name, `[DRY RUN] Would update path and refresh`);
+      }
+    }
+  }
+
+  async cleanupStaleFiles() {
+    // Skip during startup grace period to allow VFS cache to populate
+    if (isInStartupGracePeriod()) {
+      const remainingMs = CONFIG.startupGracePeriodMs - (Date.now() - SERVICE_START_TIME);
+      log(this.name, `Skipping stale file cleanup - in startup grace period (${Math.ceil(remainingMs / 1000)}s remaining)`);
+      return 0;
+    }
+
+    // Verify mount is ready before checking for stale files
+    const mountCheck = isMountReady(this.config.mountPath);
+    if (!mountCheck.ready) {
+      log(this.name, `Skipping stale file cleanup - ${mountCheck.reason}`);
+      return 0;
+    }
+
+    log(this.name, 'Checking for stale movie files...');
+    const movies = await this.getAllMovies();
+    const moviesWithFiles = movies.filter(m => m.hasFile && m.movieFile);
+    let cleanedCount = 0;
+
+    for (const movie of moviesWithFiles) {
+      const filePath = movie.movieFile.path;
+
+      // Only check files in our mount path
+      if (!filePath || !filePath.startsWith(this.config.mountPath)) continue;
+
+      // Check if file exists on disk
+      if (!fs.existsSync(filePath)) {
+        log(this.name, `Stale file detected: "${movie.title}" - ${filePath}`);
+
+        if (!CONFIG.dryRun) {
+          try {
+            // Delete the movie file record via API
+            await this.axios.delete(`/api/${this.apiVersion}/moviefile/${movie.movieFile.id}`);
+            log(this.name, `Deleted stale movie file record for: ${movie.title}`);
+            notify('stale_removed', this.name, `${movie.title} - ${filePath}`);
+            requestMediaScan(filePath, 'Deleted');
+
+            // Only trigger search if movie is monitored
+            if (movie.monitored) {
+              await this.triggerSearchForIncompleteDownload(movie, movie.title);
+            } else {
+              log(this.name, `Skipping search for unmonitored movie: ${movie.title}`);
+            }
+            cleanedCount++;
+          } catch (error) {
+            log(this.name, `Failed to delete movie file: ${error.message}`);
+          }
+        } else {
+          log(this.name, `[DRY RUN] Would delete stale file and trigger search`);
+          cleanedCount++;
+        }
+      }
+    }
+
+    if (cleanedCount > 0) {
+      log(this.name, `🧹 Cleaned up ${cleanedCount} stale movie files`);
+    }
+    return cleanedCount;
+  }
+}
+
+// Sonarr-specific handler
+class SonarrMonitor extends ArrClient {
+  async triggerSearchForIncompleteDownload(series, episode, originalRelease, historyItem = null) {
+    const searchKey = `${series.id}-${episode.seasonNumber}-${episode.episodeNumber}`;
+    const lastSearch = this.getSearchCooldown(searchKey);
+
+    if (lastSearch) {
+      const hoursAgo = ((Date.now() - lastSearch) / (60 * 60 * 1000)).toFixed(1);
+      log(this.name, `Skipping search for "${series.title}" S${episode.seasonNumber}E${episode.episodeNumber} - already searched ${hoursAgo}h ago`);
+      this.countSearch('suppressed');
+      return;
+    }
+
+    log(this.name, `Triggering search for incomplete download: "${series.title}" S${episode.seasonNumber}E${episode.episodeNumber} (was: ${originalRelease})`);
+
+    // Blocklist the broken release first so the search doesn't grab it again
+    if (await this.blocklistBeforeSearch(historyItem, searchKey)) return;
+
+    if (!CONFIG.dryRun) {
+      const success = await this.triggerCommand({
+        name: 'EpisodeSearch',
+        episodeIds: [episode.id]
+      });
+
+      if (success) {
+        this.recordSearch(searchKey);
+        log(this.name, `✅ Search triggered for: ${series.title} S${episode.seasonNumber}E${episode.episodeNumber}`);
+        notify('search_triggered', this.name, `${series.title} S${episode.seasonNumber}E${episode.episodeNumber}`);
+        this.countSearch('triggered');
+      } else {
+        log(this.name, `❌ Failed to trigger search for: ${series.title} S${episode.seasonNumber}E${episode.episodeNumber}`);
+        this.countSearch('failed');
+      }
+    } else {
+      log(this.name, `[DRY RUN] Would trigger search for: ${series.title} S${episode.seasonNumber}E${episode.episodeNumber}`);
+    }
+  }
+
+  async getAllSeries() {
+    try {
+      const response = await this.axios.get(`/api/${this.apiVersion}/series`);
+      return response.data || [];
+    } catch (error) {
+      log(this.name, `Error fetching series: ${error.message}`);
+      return [];
+    }
+  }
+
+  parseSeasonInfo(jobName) {
+    // Detect season-only patterns (season packs without episode numbers)
+    const patterns = [
+      /[Ss](\d+)(?![Ee]\d)/,           // S01 not followed by E##
+      /[Ss]eason[.\s_-]?(\d+)/i,       // Season 1, Season.1, Season_1
+      /[._-]S(\d+)[._-]/,              // .S01. or _S01_ or -S01-
+    ];
+
+    for (const pattern of patterns) {
+      const match = jobName.match(pattern);
+      if (match) {
+        const season = parseInt(match[1]);
+        // Verify this isn't actually an episode pattern we missed
+        if (!/[Ss]\d+[Ee]\d+/.test(jobName)) {
+          return { season };
+        }
+      }
+    }
+
+    return null;
+  }
+
+  parseEpisodeInfo(jobName) {
+    // Try to extract season and episode numbers from release name
+    // Supports formats: S01E02, S01E02E03, S01E02-E03, S01E02-03, 1x02, 1x02-1x03, Episode 02
+    // Returns { season, episode, episodes } - episodes is every episode a multi-episode release
+    // covers, first to last (Sonarr fills S01E01E03 the same way); episode is the first
+    const patterns = [
+      /[Ss](\d+)[Ee](\d{1,3})((?:(?:[-_. ]?[Ee]|-)\d{1,3}(?![\dpi]))*)/,   // S01E02, S01E02E03, S01E02-E03, S01E02-03
+      /(?<!\d)(\d{1,2})x(\d{2,3})((?:(?:-(?:\d{1,2}x)?|x)\d{2,3})*)(?!\d)/, // 1x02, 1x02-1x03, 1x02x03 (not 1920x1080)
+    ];
+
+    for (const pattern of patterns) {
+      const match = jobName.match(pattern);
+      if (match) {
+        const season = parseInt(match[1]); // S00 is the specials season
+        const episode = parseInt(match[2]);
+        const more = (match[3].replace(/\d{1,2}x/g, '').match(/\d+/g) || []).map(Number);
+        const last = Math.max(episode, ...more);
+        // A long "range" is more likely a misread than a 20-part file
+        const episodes = last - episode <= 20
+          ? Array.from({ length: last - episode + 1 }, (_, i) => episode + i)
+          : [episode];
+        return { season, episode, episodes };
+      }
+    }
+
+    const episodeMatch = jobName.match(/[Ee]pisode[.\s](\d+)/i); // Episode 02
+    if (episodeMatch) {
+      const episode = parseInt(episodeMatch[1]);
+      return { season: 1, episode, episodes: [episode] };
+    }
+
+    return null;
+  }
+
+  // S1E1, or S1E1-E2 for a multi-episode file
+  formatEpisodes(episodes) {
+    const first = episodes[0];
+    const last = episodes[episodes.length - 1];
+    return `S${first.seasonNumber}E${first.episodeNumber}${episodes.length > 1 ? `-E${last.episodeNumber}` : ''}`;
+  }
+
+  // Specials marked by name rather than S00Exx: "Special", "OVA", "OAD", "SP01" - unless the
+  // word is part of the series title ("Special Ops")
+  isSpecialName(name, series) {
+    const match = name.match(/\b(specials?|ova|oad|sp\d{0,2})\b/i);
+    return match !== null && !extractTitleWords(series.title).includes(match[1].toLowerCase());
+  }
+
+  // A season 0 episode whose title matches what's left of the name once the series title,
+  // special markers, numbers and quality tags are removed (MATCH_SPECIALS_BY_TITLE)
+  matchSpecialByTitle(series, name, specials) {
+    if (!CONFIG.matchSpecialsByTitle || specials.length === 0) return null;
+
+    const noise = new Set([...extractTitleWords(series.title), 'special', 'specials', 'ova', 'oad']);
+    const meaningful = words => words.filter(w => !noise.has(w) && !/^(s\d+|e\d+|sp\d*|\d+)$/.test(w));
+    const nameWords = meaningful(extractTitleWords(name));
+    if (nameWords.length === 0) return null;
+
+    let best = null;
+    let bestScore = 0;
+    for (const special of specials) {
+      const titleWords = meaningful(extractTitleWords(special.title || ''));
+      const score = calculateMatchScore(nameWords, titleWords);
+      if (score > bestScore && score >= 0.6) {
+        best = special;
+        bestScore = score;
+      }
+    }
+    return best;
+  }
+
+  // Air date in daily/talk show names: Show.2026.10.18, Show.18.10.2026, Show 2026-10-18.
+  // Returns { airDate: 'YYYY-MM-DD' } (Sonarr's episode airDate format) or null.
+  parseDailyEpisodeInfo(name) {
+    const patterns = [
+      { pattern: /(?<!\d)((?:19|20)\d{2})[._\s-](\d{2})[._\s-](\d{2})(?!\d)/, order: [1, 2, 3] }, // YYYY.MM.DD, YYYY-MM-DD
+      { pattern: /(?<!\d)(\d{2})[._\s-](\d{2})[._\s-]((?:19|20)\d{2})(?!\d)/, order: [3, 2, 1] }  // DD.MM.YYYY
+    ];
+
+    for (const { pattern, order } of patterns) {
+      const match = name.match(pattern);
+      if (!match) continue;
+      const [year, month, day] = order.map(i => parseInt(match[i]));
+      // Reject impossible dates (2026.13.01, 31.02.2026)
+      const date = new Date(Date.UTC(year, month - 1, day));
+      if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) continue;
+      return { airDate: date.toISOString().slice(0, 10) };
+    }
+
+    return null;
+  }
+
+  // Episodes of a daily series that aired on the date; several on one day are narrowed by
+  // the episode title in the name, and left unresolved (null) if the title doesn't tell them apart
+  resolveDailyEpisode(episodes, dailyInfo, name) {
+    const aired = episodes.filter(e => e.airDate === dailyInfo.airDate);
+    if (aired.length <= 1) return aired[0] || null;
+
+    const { match } = findBestMatch(name, null, aired, e => e.title || '', () => null);
+    if (!match) {
+      log(this.name, `${aired.length} episodes aired ${dailyInfo.airDate} and none matches the title in "${name}" - air date is ambiguous`);
+    }
+    return match;
+  }
+
+  // Fansub-style anime names: "[Group] Show - 1047v2 (1080p) [ABCD1234].mkv", batches as
+  // "01-12" or "01~12". Returns { from, to, version, season } - season is set when the name
+  // carries one ("Show S2 - 05"), making the numbers relative to it instead of absolute.
+  parseAnimeEpisodeInfo(name) {
+    const title = name
+      .replace(/\.(mkv|mp4|avi|mov)$/i, '')
+      // Keep a parenthesised batch range, drop other bracketed group/CRC/quality tags
+      .replace(/\((\d{1,4}\s*[-~]\s*\d{1,4})\)/g, ' $1 ')
+      .replace(/\[[^\]]*\]|\([^)]*\)|【[^】]*】/g, ' ')
+      .replace(/_/g, ' ')
+      .replace(/\s+/g, ' ')
+      .trim();
+
+    const seasonMatch = title.match(/\b(?:S|Season\s*)(\d{1,2})\b/i);
+    const match = title.match(/\s-\s+(?:E|EP|#)?(\d{1,4})(?:v(\d))?(?:\s*[-~]\s*(?:E|EP)?(\d{1,4})(?:v\d)?)?(?=\s|$)/i) ||
+      title.match(/\s(?:E|EP)?(\d{2,4})(?:v(\d))?(?:\s*[-~]\s*(?:E|EP)?(\d{2,4})(?:v\d)?)?(?:\s+(?:END|FINAL|Batch|Complete))?$/i);
+    if (!match) return null;
+
+    const from = parseInt(match[1]);
+    const to = match[3] ? parseInt(match[3]) : from;
+    // A lone four-digit 19xx/20xx number is a year, not episode 2019
+    if (!match[3] && /^(19|20)\d{2}$/.test(match[1])) return null;
+    if (to < from || to - from > 500) return null;
+
+    return {
+      from,
+      to,
+      version: match[2] ? parseInt(match[2]) : 1,
+      season: seasonMatch ? parseInt(seasonMatch[1]) : null
+    };
+  }
+
+  // Sonarr episodes for a parsed anime number or range. Absolute numbers go through the scene
+  // (XEM) absolute number first, then Sonarr's absoluteEpisodeNumber; season-relative numbers
+  // (from the name or a season-specific scene mapping title) through the scene season/episode.
+  resolveAnimeEpisodes(episodes, animeInfo, sceneSeasonNumber = null) {
+    const season = animeInfo.season ?? sceneSeasonNumber;
+    const found = [];
+    for (let number = animeInfo.from; number <= animeInfo.to; number++) {
+      const episode = season !== null && season !== undefined
+        ? episodes.find(e => e.sceneSeasonNumber === season && e.sceneEpisodeNumber === number) ||
+          episodes.find(e => e.seasonNumber === season && e.episodeNumber === number)
+        : episodes.find(e => e.sceneAbsoluteEpisodeNumber === number) ||
+          episodes.find(e => e.absoluteEpisodeNumber === number);
+      if (episode && !found.includes(episode)) found.push(episode);
+    }
+    return found;
+  }
+
+  async getEpisode(seriesId, season, episode) {
+    try {
+      const response = await this.axios.get(`/api/${this.apiVersion}/episode`, {
+        params: { seriesId }
+      });
+      const episodes = response.data || [];
+      return episodes.find(e => e.seasonNumber === season && e.episodeNumber === episode);
+    } catch (error) {
+      log(this.name, `Error fetching episodes: ${error.message}`);
+      return null;
+    }
+  }
+
+  async getAllEpisodes(seriesId) {
+    try {
+      const response = await this.axios.get(`/api/${this.apiVersion}/episode`, {
+        params: { seriesId }
+      });
+      return response.data || [];
+    } catch (error) {
+      log(this.name, `Error fetching episodes: ${error.message}`);
+      return [];
+    }
+  }
+
+  // A grab of several episodes from one season shares the season search's cooldown
+  getGrabSearchKey(grabRecords) {
+    const episodes = grabRecords.map(r => r.episode).filter(Boolean);
+    if (episodes.length === 0) return null;
+
+    const { seriesId } = grabRecords[0];
+    if (episodes.length > 1 && episodes.every(e => e.seasonNumber === episodes[0].seasonNumber)) {
+      return `${seriesId}-season-${episodes[0].seasonNumber}`;
+    }
+    return `${seriesId}-${episodes[0].seasonNumber}-${episodes[0].episodeNumber}`;
+  }
+
+  async triggerSeasonSearch(series, seasonNumber, historyItem = null) {
+    const searchKey = `${series.id}-season-${seasonNumber}`;
+    const lastSearch = this.getSearchCooldown(searchKey);
+
+    if (lastSearch) {
+      const hoursAgo = ((Date.now() - lastSearch) / (60 * 60 * 1000)).toFixed(1);
+      log(this.name, `Skipping search for "${series.title}" Season ${seasonNumber} - already searched ${hoursAgo}h ago`);
+      this.countSearch('suppressed');
+      return;
+    }
+
+    log(this.name, `Triggering search for incomplete season pack: "${series.title}" Season ${seasonNumber}`);
+
+    // Blocklist the broken release first so the search doesn't grab it again
+    if (await this.blocklistBeforeSearch(historyItem, searchKey)) return;
+
+    if (!CONFIG.dryRun) {
+      const success = await this.triggerCommand({
+        name: 'SeasonSearch',
+        seriesId: series.id,
+        seasonNumber: seasonNumber
+      });
+
+      if (success) {
+        this.recordSearch(searchKey);
+        log(this.name, `✅ Season search triggered for: ${series.title} Season ${seasonNumber}`);
+        notify('search_triggered', this.name, `${series.title} Season ${seasonNumber}`);
+        this.countSearch('triggered');
+      } else {
+        log(this.name, `❌ Failed to trigger season search for: ${series.title} Season ${seasonNumber}`);
+        this.countSearch('failed');
+      }
+    } else {
+      log(this.name, `[DRY RUN] Would trigger season search for: ${series.title} Season ${seasonNumber}`);
+    }
+  }
+
+  async processSeasonPack(series, seasonNumber, downloadPath, jobName, historyItem = null) {
+    log(this.name, `Processing season pack: ${series.title} Season ${seasonNumber}`);
+
+    // Get all episodes for this series
+    const allEpisodes = await this.getAllEpisodes(series.id);
+    const seasonEpisodes = allEpisodes.filter(e => e.seasonNumber === seasonNumber);
+
+    if (seasonEpisodes.length === 0) {
+      log(this.name, `No episodes found in Sonarr for ${series.title} Season ${seasonNumber}`);
+      return 'unmatched';
+    }
+
+    // Specials often ship inside a season pack (S01E00, "Special", S00E03)
+    const specials = allEpisodes.filter(e => e.seasonNumber === 0);
+    return this.processEpisodePack(series, seasonEpisodes, `Season ${seasonNumber}`, downloadPath, jobName, historyItem,
+      () => this.triggerSeasonSearch(series, seasonNumber, historyItem), { specials });
+  }
+
+  // Anime batch ("01-12"): the episodes it covers may span seasons, so an incomplete
+  // batch searches each of them
+  async processAnimeBatch(series, episodes, animeInfo, downloadPath, jobName, historyItem = null, sceneSeasonNumber = null) {
+    const label = `episodes ${animeInfo.from}-${animeInfo.to}`;
+    log(this.name, `Processing anime batch: ${series.title} ${label}`);
+
+    return this.processEpisodePack(series, episodes, label, downloadPath, jobName, historyItem, async () => {
+      for (const seasonNumber of new Set(episodes.map(e => e.seasonNumber))) {
+        await this.triggerSeasonSearch(series, seasonNumber, historyItem);
+      }
+    }, { sceneSeasonNumber });
+  }
+
+  // Register every video file in a pack download against the given episodes (or the season 0
+  // specials passed along); searchMissing runs when the download has no usable video files at all
+  async processEpisodePack(series, episodes, label, downloadPath, jobName, historyItem, searchMissing, { sceneSeasonNumber = null, specials = [] } = {}) {
+    // Check if directory exists and has files
+    let videoFiles = [];
+    let actualDownloadPath = downloadPath;
+    try {
+      if (fs.existsSync(downloadPath)) {
+        videoFiles = this.rankVideoFiles(downloadPath, jobName, series.title);
+      }
+
+      // If no video files in original path, check for numbered versions (2), (3), etc.
+      if (videoFiles.length === 0) {
+        const numberedPath = this.findNumberedVersion(downloadPath, jobName);
+        if (numberedPath) {
+          actualDownloadPath = numberedPath;
+          videoFiles = this.rankVideoFiles(numberedPath, jobName, series.title);
+        }
+      }
+    } catch (error) {
+      log(this.name, `Error scanning directory ${downloadPath}: ${error.message}`);
+    }
+
+    if (videoFiles.length === 0) {
+      log(this.name, `No video files found in pack directory - download appears incomplete`);
+      await searchMissing();
+      return 'incomplete';
+    }
+
+    log(this.name, `Found ${videoFiles.length} video files in pack (${actualDownloadPath})`);
+
+    // Match video files to episodes
+    let registeredCount = 0;
+    let alreadyHaveCount = 0;
+    let coveredEpisodeCount = 0;
+
+    for (const videoFile of videoFiles) {
+      const fileEpisodes = this.matchFileToEpisodes(series, videoFile, episodes, { sceneSeasonNumber, specials });
+      if (fileEpisodes.length === 0) continue;
+      coveredEpisodeCount += fileEpisodes.length;
+
+      // Episodes that already have a file keep it; the new file is linked to the rest only
+      const missingEpisodes = fileEpisodes.filter(e => !e.hasFile);
+      alreadyHaveCount += fileEpisodes.length - missingEpisodes.length;
+      if (missingEpisodes.length === 0) continue;
+
+      const fullPath = path.join(actualDownloadPath, videoFile);
+      const episodeIds = missingEpisodes.map(e => e.id);
+      log(this.name, `Registering ${series.title} ${this.formatEpisodes(missingEpisodes)}: ${videoFile}`);
+
+      if (!CONFIG.dryRun) {
+        const episodeFile = {
+          path: fullPath,
+          seriesId: series.id,
+          seasonNumber: missingEpisodes[0].seasonNumber,
+          quality: { quality: { id: 1, name: 'Unknown' } },
+          releaseGroup: '',
+          sceneName: path.basename(videoFile),
+          releaseName: jobName
+        };
+
+        const registered = await this.registerEpisodeFile(episodeFile, episodeIds);
+        if (registered) {
+          registeredCount += missingEpisodes.length;
+          // Clear any failed queue entries for these episodes
+          await this.clearFailedQueueEntries(item =>
+            item.seriesId === series.id &&
+            episodeIds.includes(item.episodeId)
+          );
+        }
+      } else {
+        log(this.name, `[DRY RUN] Would register: ${fullPath}`);
+        registeredCount += missingEpisodes.length;
+      }
+    }
+
+    if (registeredCount > 0) {
+      log(this.name, `✅ Registered ${registeredCount} episodes for ${series.title} ${label}`);
+      if (!CONFIG.dryRun) {
+        notify('registered', this.name, `${series.title} ${label} (${registeredCount} episodes)`);
+        requestMediaScan(actualDownloadPath);
+      }
+    }
+    if (alreadyHaveCount > 0) {
+      log(this.name, `ℹ️  ${alreadyHaveCount} episodes already had files`);
+    }
+
+    // Check if any episodes are still missing files after processing
+    const missingEpisodes = episodes.filter(e => !e.hasFile && e.monitored);
+
+    if (missingEpisodes.length > coveredEpisodeCount) {
+      log(this.name, `Pack incomplete: ${missingEpisodes.length} episodes expected, files found for ${coveredEpisodeCount}`);
+      // Don't trigger search here - the files might just need to be imported first
+    }
+
+    if (registeredCount > 0) return 'registered';
+    return alreadyHaveCount > 0 ? 'has_file' : 'unmatched';
+  }
+
+  // The episodes a file in a pack covers (several for S01E01E02-style files): SxxEyy-style
+  // numbers, the air date for daily series, or for anime series the absolute (or
+  // scene-season-relative) number in a fansub-style name. Specials (S00Exx, S01E00,
+  // "Special", "OVA") are looked up among the season 0 episodes. Empty if nothing matched.
+  matchFileToEpisodes(series, videoFile, episodes, { sceneSeasonNumber = null, specials = [] } = {}) {
+    const candidates = [...episodes, ...specials.filter(e => !episodes.includes(e))];
+    const fileEpisodeInfo = this.parseEpisodeInfo(videoFile);
+    if (fileEpisodeInfo) {
+      const matched = fileEpisodeInfo.episodes
+        .map(number => candidates.find(e => e.seasonNumber === fileEpisodeInfo.season && e.episodeNumber === number))
+        .filter(Boolean);
+      // S01E00 is a special filed under its season - find it in season 0 by title
+      if (matched.length === 0 && fileEpisodeInfo.episode === 0) {
+        return this.matchSpecialFile(series, videoFile, specials);
+      }
+      if (matched.length === 0) {
+        log(this.name, `No Sonarr episode found for S${fileEpisodeInfo.season}E${fileEpisodeInfo.episode}`);
+      }
+      return matched;
+    }
+
+    if (this.isSpecialName(videoFile, series)) {
+      return this.matchSpecialFile(series, videoFile, specials);
+    }
+
+    const dailyInfo = series.seriesType === 'daily' ? this.parseDailyEpisodeInfo(videoFile) : null;
+    if (dailyInfo) {
+      const episode = this.resolveDailyEpisode(episodes, dailyInfo, videoFile);
+      if (!episode && !episodes.some(e => e.airDate === dailyInfo.airDate)) {
+        log(this.name, `No Sonarr episode found airing ${dailyInfo.airDate}: ${videoFile}`);
+      }
+      return episode ? [episode] : [];
+    }
+
+    const animeInfo = series.seriesType === 'anime' ? this.parseAnimeEpisodeInfo(videoFile) : null;
+    if (animeInfo) {
+      const matched = this.resolveAnimeEpisodes(episodes, animeInfo, sceneSeasonNumber);
+      if (matched.length === 0) {
+        log(this.name, `No Sonarr episode found for absolute episode ${animeInfo.from}: ${videoFile}`);
+      }
+      return matched;
+    }
+
+    log(this.name, `Could not parse episode info from file: ${videoFile}`);
+    return [];
+  }
+
+  matchSpecialFile(series, videoFile, specials) {
+    const special = this.matchSpecialByTitle(series, videoFile, specials);
+    if (special) {
+      log(this.name, `Matched special "${videoFile}" to S0E${special.episodeNumber} "${special.title}" by title`);
+      return [special];
+    }
+
+    const reason = !CONFIG.matchSpecialsByTitle ? 'title matching is disabled (MATCH_SPECIALS_BY_TITLE=false)'
+      : specials.length === 0 ? 'the series has no season 0 episodes in Sonarr'
+      : 'no season 0 episode title matches';
+    log(this.name, `Skipping special ${videoFile}: ${reason}`);
+    return [];
+  }
+
+  getDatabase() {
+    if (!this._db) {
+      if (!fs.existsSync(this.config.dbPath)) {
+        log(this.name, `Database not found at: ${this.config.dbPath}`);
+        return null;
+      }
+      this._db = new Database(this.config.dbPath);
+    }
+    return this._db;
+  }
+
+  async ensureSeriesPath(seriesId) {
+    // Ensure series path is set to mount path root for relative paths to work
+    const db = this.getDatabase();
+    if (!db) return false;
+
+    try {
+      const series = db.prepare('SELECT Id, Path FROM Series WHERE Id = ?').get(seriesId);
+      if (series && series.Path !== this.config.mountPath) {
+        log(this.name, `Updating series ${seriesId} path from "${series.Path}" to "${this.config.mountPath}"`);
+        db.prepare('UPDATE Series SET Path = ? WHERE Id = ?').run(this.config.mountPath, seriesId);
+      }
+      return true;
+    } catch (error) {
+      log(this.name, `Error updating series path: ${error.message}`);
+      return false;
+    }
+  }
+
+  async registerEpisodeFile(episodeFile, episodeIds) {
+    const db = this.getDatabase();
+    if (!db) {
+      log(this.name, 'Database not available, falling back to API (will likely fail on read-only filesystem)');
+      return this.registerEpisodeFileViaApi(episodeFile, episodeIds);
+    }
+
+    try {
+      // Ensure series path is set correctly
+      await this.ensureSeriesPath(episodeFile.seriesId);
+
+      // Get file size
+      let fileSize = 0;
+      try {
+        const stats = fs.statSync(episodeFile.path);
+        fileSize = stats.size;
+      } catch (e) {
+        log(this.name, `Could not get file size: ${e.message}`);
+      }
+
+      // Calculate relative path from mount path
+      const relativePath = episodeFile.path.replace(this.config.mountPath + '/', '');
+
+      const { release, probe } = this.describeEpisodeFile(episodeFile);
+
+      // Check if episode file already exists for this path
+      const existingFile = db.prepare(
+        'SELECT Id FROM EpisodeFiles WHERE SeriesId = ? AND RelativePath = ?'
+      ).get(episodeFile.seriesId, relativePath);
+
+      if (existingFile) {
+        log(this.name, `Episode file already registered with ID ${existingFile.Id}`);
+        // Update episode to link to existing file
+        for (const episodeId of episodeIds) {
+          db.prepare('UPDATE Episodes SET EpisodeFileId = ? WHERE Id = ?').run(existingFile.Id, episodeId);
+        }
+        this.registerSidecarFiles(db, episodeFile, existingFile.Id);
+        metrics.inc('registrations_total', { monitor: this.name, result: 'relinked' });
+        this.recordRegistration(episodeFile.path, `episodes:${episodeIds.join(',')}`, existingFile.Id);
+        return { id: existingFile.Id };
+      }
+
+      // Insert new episode file record
+      // Quality format: {"quality": <id>, "revision": {"version": 1, "real": 0, "isRepack": false}}
+      // Languages format: [1] (array of language IDs, 1 = English)
+      const qualityId = getSonarrQualityId(release, probe);
+      const languageIds = getSonarrLanguageIds(release, probe);
+      const mediaInfo = buildSonarrMediaInfo(probe, release);
+      const qualityJson = JSON.stringify({ quality: qualityId, revision: release.revision });
+
+      const result = db.prepare(`
+        INSERT INTO EpisodeFiles (SeriesId, Quality, Size, DateAdded, SeasonNumber, SceneName, ReleaseGroup, MediaInfo, RelativePath, OriginalFilePath, Languages, IndexerFlags, ReleaseType)
+        VALUES (?, ?, ?, datetime('now'), ?, ?, ?, ?, ?, NULL, ?, 0, 0)
+      `).run(
+        episodeFile.seriesId,
+        qualityJson,
+        fileSize,
+        episodeFile.seasonNumber ?? 1,
+        episodeFile.sceneName || '',
+        release.releaseGroup,
+        mediaInfo ? JSON.stringify(mediaInfo) : null,
+        relativePath,
+        JSON.stringify(languageIds)
+      );
+
+      const episodeFileId = result.lastInsertRowid;
+      log(this.name, `Inserted EpisodeFile with ID ${episodeFileId} (quality ${qualityId}, languages ${languageIds.join(',')})`);
+
+      // Link episodes to the new file
+      for (const episodeId of episodeIds) {
+        db.prepare('UPDATE Episodes SET EpisodeFileId = ? WHERE Id = ?').run(episodeFileId, episodeId);
+        log(this.name, `Linked episode ${episodeId} to file ${episodeFileId}`);
+      }
+
+      this.registerSidecarFiles(db, episodeFile, episodeFileId);
+      metrics.inc('registrations_total', { monitor: this.name, result: 'created' });
+      this.recordRegistration(episodeFile.path, `episodes:${episodeIds.join(',')}`, episodeFileId);
+      return { id: episodeFileId };
+    } catch (error) {
+      log(this.name, `Error registering episode file via DB: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Record the subtitles and .nfo files shipped with an episode in SubtitleFiles/ExtraFiles, so
+  // Sonarr (and Bazarr through it) knows about them. Already registered paths are skipped.
+  registerSidecarFiles(db, episodeFile, episodeFileId) {
+    let registered = 0;
+    for (const sidecar of findSidecarFiles(episodeFile.path)) {
+      const relativePath = sidecar.path.replace(this.config.mountPath + '/', '');
+      const table = sidecar.type === 'subtitle' ? 'SubtitleFiles' : 'ExtraFiles';
+      try {
+        if (db.prepare(`SELECT Id FROM ${table} WHERE SeriesId = ? AND RelativePath = ?`).get(episodeFile.seriesId, relativePath)) {
+          continue;
+        }
+
+        if (sidecar.type === 'subtitle') {
+          db.prepare(`
+            INSERT INTO SubtitleFiles (SeriesId, SeasonNumber, EpisodeFileId, RelativePath, Extension, Added, LastUpdated, Language, LanguageTags)
+            VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'), ?, ?)
+          `).run(
+            episodeFile.seriesId,
+            episodeFile.seasonNumber ?? 1,
+            episodeFileId,
+            relativePath,
+            sidecar.extension,
+            sidecar.language ? sidecar.language.id : 0,
+            JSON.stringify(sidecar.tags)
+          );
+        } else {
+          db.prepare(`
+            INSERT INTO ExtraFiles (SeriesId, SeasonNumber, EpisodeFileId, RelativePath, Extension, Added, LastUpdated)
+            VALUES (?, ?, ?, ?, ?, datetime('now'), datetime('now'))
+          `).run(episodeFile.seriesId, episodeFile.seasonNumber ?? 1, episodeFileId, relativePath, sidecar.extension);
+        }
+        registered++;
+        const language = sidecar.type === 'subtitle' ? ` (${sidecar.language ? sidecar.language.name : 'unknown language'}${sidecar.tags.length ? `, ${sidecar.tags.join(', ')}` : ''})` : '';
+        log(this.name, `Registered ${sidecar.type} file${language}: ${relativePath}`);
+      } catch (error) {
+        log(this.name, `Error registering ${sidecar.type} file ${relativePath}: ${error.message}`);
+      }
+    }
+    return registered;
+  }
+
+  // Quality tags from the file name, with the release (job) name filling in anything the
+  // file name lacks, plus the probed container details
+  describeEpisodeFile(episodeFile) {
+    const fromFile = parseReleaseInfo(path.basename(episodeFile.path));
+    const fromRelease = parseReleaseInfo(episodeFile.releaseName || '');
+    const release = { ...fromFile };
+    for (const key of ['source', 'resolution', 'videoCodec', 'audioCodec', 'releaseGroup']) {
+      release[key] = fromFile[key] || fromRelease[key];
+    }
+    release.remux = fromFile.remux || fromRelease.remux;
+    release.multi = fromFile.multi || fromRelease.multi;
+    release.languages = fromFile.languages.length > 0 ? fromFile.languages : fromRelease.languages;
+    if (fromRelease.revision.version > release.revision.version || fromRelease.revision.real > release.revision.real) {
+      release.revision = fromRelease.revision;
+    }
+
+    return { release, probe: probeMediaFile(episodeFile.path) };
+  }
+
+  async registerEpisodeFileViaApi(episodeFile, episodeIds) {
+    try {
+      // Fallback to API method (will fail on read-only filesystem)
+      const files = [{
+        path: episodeFile.path,
+        seriesId: episodeFile.seriesId,
+        episodeIds: episodeIds,
+        quality: episodeFile.quality,
+        releaseGroup: episodeFile.releaseGroup || ''
+      }];
+
+      const command = {
+        name: 'ManualImport',
+        files: files,
+        importMode: 'auto'
+      };
+
+      const response = await this.axios.post(`/api/${this.apiVersion}/command`, command);
+      return response.data;
+    } catch (error) {
+      log(this.name, `Error registering episode file via API: ${error.message}`);
+      return null;
+    }
+  }
+
+  // Match a history slot to a series: exact grab by download ID first, fuzzy title as fallback
+  matchSeries(historyItem, jobName, allSeries, grabIndex) {
+    const grab = this.findGrab(grabIndex, historyItem);
+    if (grab?.seriesId) {
+      const series = allSeries.find(s => s.id === grab.seriesId);
+      if (series) {
+        return { series, grab, method: 'download_id', strategy: `download ID (${grab.source})` };
+      }
+    }
+
+    // Use improved word-based matching
+    const { match: series, score } = findBestMatch(
+      jobName,
+      null, // TV shows don't typically have year in release name
+      allSeries,
+      s => s.title,
+      s => s.year
+    );
+
+    // Anime series are also matched on Sonarr's scene mapping titles; that match wins when it
+    // scores higher or the plain match is an anime series too
+    const anime = this.matchAnimeTitle(jobName, allSeries.filter(s => s.seriesType === 'anime'));
+    if (anime && (!series || series.seriesType === 'anime' || anime.score > score)) {
+      const strategy = anime.title !== anime.series.title
+        ? `fuzzy scene title "${anime.title}", score: ${anime.score.toFixed(2)}`
+        : `fuzzy title, score: ${anime.score.toFixed(2)}`;
+      return { series: anime.series, grab: null, method: 'fuzzy', strategy, sceneSeasonNumber: anime.sceneSeasonNumber };
+    }
+
+    return { series, grab: null, method: 'fuzzy', strategy: `fuzzy title, score: ${score.toFixed(2)}`, sceneSeasonNumber: null };
+  }
+
+  // Best anime title or scene mapping title for a name: { series, title, score, sceneSeasonNumber }.
+  // Ties go to the title with more words in the name, then fewer words outside it, so
+  // "Show 2nd Season - 03" picks that mapping over the plain "Show"
+  matchAnimeTitle(jobName, animeSeries) {
+    const titles = animeSeries.flatMap(s => [
+      { series: s, title: s.title, sceneSeasonNumber: null },
+      ...(s.alternateTitles || []).map(alt => ({
+        series: s,
+        title: alt.title,
+        // Season-specific mapping ("Show 2nd Season" -> season 2); -1 means all seasons
+        sceneSeasonNumber: alt.sceneSeasonNumber >= 0 ? alt.sceneSeasonNumber : alt.seasonNumber >= 0 ? alt.seasonNumber : null
+      }))
+    ]);
+    const jobWords = extractTitleWords(jobName);
+    const outranks = (a, b) => {
+      const i = a.findIndex((value, j) => value !== b[j]);
+      return i >= 0 && a[i] > b[i];
+    };
+    let match = null;
+    let rank = null;
+    for (const candidate of titles) {
+      const titleWords = extractTitleWords(candidate.title);
+      const candidateScore = calculateMatchScore(jobWords, titleWords);
+      if (candidateScore < 0.6) continue;
+      const matched = titleWords.filter(w => jobWords.includes(w)).length;
+      const candidateRank = [candidateScore, matched, matched - titleWords.length];
+      if (!rank || outranks(candidateRank, rank)) {
+        match = { ...candidate, score: candidateScore };
+        rank = candidateRank;
+      }
+    }
+    return match;
+  }
+
+  async processHistory(nzbdavHistory, { force = false, fullPoll = false } = {}) {
+    // Only configured categories, skipping slots already handled on earlier polls
+    const pendingHistory = this.filterPendingHistory(nzbdavHistory, { force, fullPoll });
+    if (pendingHistory.length === 0) return;
+
+    const allSeries = await this.getAllSeries();
+    const grabIndex = await this.buildGrabIndex();
+
+    for (const historyItem of pendingHistory) {
+      const jobName = historyItem.job_name || historyItem.name || '';
+
+      // Try to parse episode information (individual episode or season pack)
+      const episodeInfo = this.parseEpisodeInfo(jobName);
+      let seasonInfo = !episodeInfo ? this.parseSeasonInfo(jobName) : null;
+      // Only used if the series turns out to be anime or daily - other names can carry a date too
+      const animeInfo = !episodeInfo ? this.parseAnimeEpisodeInfo(jobName) : null;
+      const dailyInfo = !episodeInfo ? this.parseDailyEpisodeInfo(jobName) : null;
+
+      const { series, grab, method, strategy, sceneSeasonNumber = null } = this.matchSeries(historyItem, jobName, allSeries, grabIndex);
+      const isAnime = series?.seriesType === 'anime' && animeInfo !== null;
+      const isDaily = series?.seriesType === 'daily' && dailyInfo !== null;
+      // "Show.Christmas.Special", "[Group] Show - OVA": looked up by title in season 0
+      const isSpecial = !!series && !episodeInfo && !seasonInfo && !isAnime && !isDaily && this.isSpecialName(jobName, series);
+
+      // A grab with known episodes is enough even when the name can't be parsed
+      if (!episodeInfo && !seasonInfo && !grab?.episodeIds.length && !isAnime && !isDaily && !isSpecial) {
+        log(this.name, `Could not parse episode/season info from: ${jobName}`);
+        this.recordOutcome(historyItem, 'unparsed');
+        continue;
+      }
+
+      if (!series) {
+        log(this.name, `No matching series found for: ${jobName}`);
+        this.recordOutcome(historyItem, 'unmatched');
+        continue;
+      }
+
+      log(this.name, `Matched "${jobName}" to "${series.title}" (${strategy})`);
+      metrics.inc('matches_total', { monitor: this.name, strategy: method });
+
+      const downloadPath = path.join(this.config.mountPath, jobName);
+
+      // Resolve the exact grabbed episodes when the download ID matched
+      let grabbedEpisodes = [];
+      let animeEpisodes = [];
+      let dailyEpisode = null;
+      if (grab?.episodeIds.length || isAnime || isDaily) {
+        const allEpisodes = await this.getAllEpisodes(series.id);
+        grabbedEpisodes = allEpisodes.filter(e => grab?.episodeIds.includes(e.id));
+        if (isAnime) animeEpisodes = this.resolveAnimeEpisodes(allEpisodes, animeInfo, sceneSeasonNumber);
+        if (isDaily) dailyEpisode = this.resolveDailyEpisode(allEpisodes, dailyInfo, jobName);
+      }
+
+      // Daily: the air date wins over a season-like token in the name
+      if (isDaily) seasonInfo = null;
+
+      // Anime: the fansub number wins over a stray season-like token in the name
+      if (isAnime) {
+        seasonInfo = null;
+        const numbers = animeInfo.to > animeInfo.from ? `${animeInfo.from}-${animeInfo.to}` : `${animeInfo.from}`;
+        if (animeEpisodes.length === 0 && grabbedEpisodes.length === 0) {
+          log(this.name, `Absolute episode ${numbers} not found for ${series.title}`);
+          this.recordOutcome(historyItem, 'unmatched', `series:${series.id}`);
+          continue;
+        }
+
+        if (animeInfo.to > animeInfo.from) {
+          const batchEpisodes = animeEpisodes.length > 0 ? animeEpisodes : grabbedEpisodes;
+          const outcome = await this.processAnimeBatch(series, batchEpisodes, animeInfo, downloadPath, jobName, historyItem, sceneSeasonNumber);
+          this.recordOutcome(historyItem, outcome, `series:${series.id}:episodes:${numbers}`);
+          continue;
+        }
+      }
+
+      // Unparseable name but several grabbed episodes from one season - treat as a season pack
+      if (!episodeInfo && !seasonInfo && grabbedEpisodes.length > 1) {
+        const seasons = new Set(grabbedEpisodes.map(e => e.seasonNumber));
+        if (seasons.size === 1) {
+          seasonInfo = { season: grabbedEpisodes[0].seasonNumber };
+        }
+      }
+
+      // Handle season packs differently from individual episodes
+      if (seasonInfo) {
+        const outcome = await this.processSeasonPack(series, seasonInfo.season, downloadPath, jobName, historyItem);
+        this.recordOutcome(historyItem, outcome, `series:${series.id}:season:${seasonInfo.season}`);
+        continue;
+      }
+
+      // Individual episode handling - prefer the grabbed episode over parsed numbers
+      let episode = null;
+      if (grabbedEpisodes.length > 0) {
+        episode = (episodeInfo && grabbedEpisodes.find(
+          e => e.seasonNumber === episodeInfo.season && e.episodeNumber === episodeInfo.episode
+        )) || grabbedEpisodes.find(e => animeEpisodes.includes(e) || e === dailyEpisode) || grabbedEpisodes[0];
+      } else if (episodeInfo) {
+        episode = await this.getEpisode(series.id, episodeInfo.season, episodeInfo.episode);
+      } else if (animeEpisodes.length > 0) {
+        episode = animeEpisodes[0];
+      } else if (dailyEpisode) {
+        episode = dailyEpisode;
+      }
+
+      // Specials: S01E00 or a special-marked name, matched against the season 0 titles
+      if (!episode && (episodeInfo?.episode === 0 || isSpecial)) {
+        const allEpisodes = await this.getAllEpisodes(series.id);
+        [episode = null] = this.matchSpecialFile(series, jobName, allEpisodes.filter(e => e.seasonNumber === 0));
+      }
+
+      if (!episode) {
+        const label = episodeInfo ? `S${episodeInfo.season}E${episodeInfo.episode}`
+          : isDaily ? `airing ${dailyInfo.airDate}` : isSpecial ? 'special' : 'Grabbed episode';
+        log(this.name, `Episode ${label} not found for ${series.title}`);
+        this.recordOutcome(historyItem, 'unmatched', `series:${series.id}`);
+        continue;
+      }
+
+      // A multi-episode release (S01E01E02, S01E01-E03) is one file covering every episode in its range
+      let episodes = [episode];
+      if (episodeInfo?.episodes.length > 1) {
+        const allEpisodes = await this.getAllEpisodes(series.id);
+        const covered = episodeInfo.episodes
+          .map(number => allEpisodes.find(e => e.seasonNumber === episodeInfo.season && e.episodeNumber === number))
+          .filter(Boolean);
+        if (covered.length > 0) {
+          episodes = covered;
+          episode = covered[0];
+        }
+      }
+      const episodeIds = episodes.map(e => e.id);
+      const outcomeKey = episodes.length > 1 ? `episodes:${episodeIds.join(',')}` : `episode:${episode.id}`;
+
+      // Check if the episodes already have a file; the ones that do keep it, so a double
+      // episode is only linked to its episodes that are still missing
+      const missingEpisodes = episodes.filter(e => !e.hasFile);
+      if (missingEpisodes.length === 0) {
+        this.recordOutcome(historyItem, 'has_file', outcomeKey);
+        continue;
+      }
+      const missingIds = missingEpisodes.map(e => e.id);
+      const missingLabel = this.formatEpisodes(missingEpisodes);
+
+      // Find the actual video file in the download directory
+      let videoFile = null;
+      let actualDownloadPath = downloadPath;
+
+      try {
+        if (fs.existsSync(downloadPath)) {
+          videoFile = this.rankVideoFiles(downloadPath, jobName, series.title)[0] || null;
+        }
+
+        // If no video in original path, check for numbered versions (2), (3), etc.
+        if (!videoFile) {
+          const numberedPath = this.findNumberedVersion(downloadPath, jobName);
+          if (numberedPath) {
+            actualDownloadPath = numberedPath;
+            videoFile = this.rankVideoFiles(numberedPath, jobName, series.title)[0] || null;
+          }
+        }
+      } catch (error) {
+        log(this.name, `Error scanning directory ${downloadPath}: ${error.message}`);
+        continue;
+      }
+
+      if (!videoFile) {
+        log(this.name, `No video file found in ${downloadPath} - download appears incomplete`);
+        this.recordOutcome(historyItem, 'incomplete', outcomeKey);
+        await this.triggerSearchForIncompleteDownload(series, episode, jobName, historyItem);
+        continue;
+      }
+
+      const fullPath = path.join(actualDownloadPath, videoFile);
+      log(this.name, `Registering ${series.title} ${missingLabel}: ${fullPath}`);
+
+      if (!CONFIG.dryRun) {
+        const episodeFile = {
+          path: fullPath,
+          seriesId: series.id,
+          seasonNumber: missingEpisodes[0].seasonNumber,
+          quality: { quality: { id: 1, name: 'Unknown' } },
+          releaseGroup: '',
+          sceneName: path.basename(videoFile),
+          releaseName: jobName
+        };
+
+        const registered = await this.registerEpisodeFile(episodeFile, missingIds);
+        if (registered) {
+          this.recordOutcome(historyItem, 'registered', outcomeKey);
+          log(this.name, `✅ Successfully registered: ${series.title} ${missingLabel}`);
+          notify('registered', this.name, `${series.title} ${missingLabel} - ${videoFile}`);
+          requestMediaScan(actualDownloadPath);
+          // Clear any failed queue entries for these episodes
+          await this.clearFailedQueueEntries(item =>
+            item.seriesId === series.id &&
+            missingIds.includes(item.episodeId)
+          );
+        }
+      } else {
+        log(this.name, `[DRY RUN] Would register episode file: ${fullPath}`);
+      }
+    }
+  }
+
+  async cleanupStaleFiles() {
+    // Skip during startup grace period to allow VFS cache to populate
+    if (isInStartupGracePeriod()) {
+      const remainingMs = CONFIG.startupGracePeriodMs - (Date.now() - SERVICE_START_TIME);
+      log(this.name, `Skipping stale file cleanup - in startup grace period (${Math.ceil(remainingMs / 1000)}s remaining)`);
+      return 0;
+    }
+
+    // Verify mount is ready before checking for stale files
+    const mountCheck = isMountReady(this.config.mountPath);
+    if (!mountCheck.ready) {
+      log(this.name, `Skipping stale file cleanup - ${mountCheck.reason}`);
+      return 0;
+    }
+
+    const db = this.getDatabase();
+    if (!db) {
+      log(this.name, 'Database not available for stale file cleanup');
+      return 0;
+    }
+
+    log(this.name, 'Checking for stale episode files...');
+    let cleanedCount = 0;
+
+    try {
+      // Get all episode files with their linked episodes
+      const episodeFiles = db.prepare(`
+        SELECT ef.Id, ef.SeriesId, ef.RelativePath, s.Title as SeriesTitle, s.Monitored as SeriesMonitored,
+               GROUP_CONCAT(e.Id) as EpisodeIds
+        FROM EpisodeFiles ef
+        JOIN Series s ON s.Id = ef.SeriesId
+        LEFT JOIN Episodes e ON e.EpisodeFileId = ef.Id
+        GROUP BY ef.Id
+      `).all();
+
+      for (const ef of episodeFiles) {
+        const fullPath = path.join(this.config.mountPath, ef.RelativePath);
+
+        // Check if file exists on disk
+        if (!fs.existsSync(fullPath)) {
+          log(this.name, `Stale file detected: "${ef.SeriesTitle}" - ${ef.RelativePath}`);
+
+          if (!CONFIG.dryRun) {
+            // Get episode IDs before unlinking
+            const episodeIds = ef.EpisodeIds ? ef.EpisodeIds.split(',').map(id => parseInt(id)) : [];
+
+            // Unlink episodes from this file
+            db.prepare('UPDATE Episodes SET EpisodeFileId = 0 WHERE EpisodeFileId = ?').run(ef.Id);
+            // Delete the episode file record along with its subtitles and extras
+            db.prepare('DELETE FROM SubtitleFiles WHERE EpisodeFileId = ?').run(ef.Id);
+            db.prepare('DELETE FROM ExtraFiles WHERE EpisodeFileId = ?').run(ef.Id);
+            db.prepare('DELETE FROM EpisodeFiles WHERE Id = ?').run(ef.Id);
+            log(this.name, `Deleted stale episode file record ID ${ef.Id}`);
+            notify('stale_removed', this.name, `${ef.SeriesTitle} - ${ef.RelativePath}`);
+            requestMediaScan(fullPath, 'Deleted');
+
+            // Only trigger search if series is monitored
+            if (ef.SeriesMonitored && episodeIds.length > 0) {
+              const searched = await this.triggerCommand({ name: 'EpisodeSearch', episodeIds });
+              this.countSearch(searched ? 'triggered' : 'failed');
+              if (searched) {
+                notify('search_triggered', this.name, `${ef.SeriesTitle} (${episodeIds.length} episode(s) after stale cleanup)`);
+              }
+              log(this.name, `Triggered search for ${episodeIds.length} episode(s)`);
+            } else if (!ef.SeriesMonitored) {
+              log(this.name, `Skipping search for unmonitored series: ${ef.SeriesTitle}`);
+            }
+            cleanedCount++;
+          } else {
+            log(this.name, `[DRY RUN] Would delete stale file and trigger search`);
+            cleanedCount++;
+          }
+        }
+      }
+
+      if (cleanedCount > 0) {
+        log(this.name, `🧹 Cleaned up ${cleanedCount} stale episode files`);
+      }
+
+      this.cleanupStaleSidecarFiles(db);
+    } catch (error) {
+      log(this.name, `Error during stale file cleanup: ${error.message}`);
+    }
+
+    return cleanedCount;
+  }
+
+  // Subtitles and extras of series on the mount whose file is gone while the episode file is
+  // still there (a sidecar removed or renamed). No search - the episode itself is fine.
+  cleanupStaleSidecarFiles(db) {
+    let removed = 0;
+    for (const table of ['SubtitleFiles', 'ExtraFiles']) {
+      const rows = db.prepare(`
+        SELECT f.Id, f.RelativePath FROM ${table} f
+        JOIN Series s ON s.Id = f.SeriesId
+        WHERE s.Path = ?
+      `).all(this.config.mountPath);
+      for (const row of rows) {
+        if (fs.existsSync(path.join(this.config.mountPath, row.RelativePath))) continue;
+        log(this.name, `Stale ${table === 'SubtitleFiles' ? 'subtitle' : 'extra'} file detected: ${row.RelativePath}`);
+        if (!CONFIG.dryRun) {
+          db.prepare(`DELETE FROM ${table} WHERE Id = ?`).run(row.Id);
+        }
+        removed++;
+      }
+    }
+
+    if (removed > 0) {
+      log(this.name, `🧹 ${CONFIG.dryRun ? '[DRY RUN] Would remove' : 'Removed'} ${removed} stale subtitle/extra file records`);
+    }
+    return removed;
+  }
+}
 
-      // Check if episode file already exists for this path
+// Lidarr-specific handler
+class LidarrMonitor extends ArrClient {
+  constructor(name, config, apiVersion = 'v1') {
+    super(name, config, apiVersion);
+  }
+
+  async triggerSearchForIncompleteDownload(album, originalRelease, historyItem = null) {
+    const lastSearch = this.getSearchCooldown(album.id);
+
+    if (lastSearch) {
+      const hoursAgo = ((Date.now() - lastSearch) / (60 * 60 * 1000)).toFixed(1);
+      log(this.name, `Skipping search for album "${album.title}" - already searched ${hoursAgo}h ago`);
+      this.countSearch('suppressed');
+      return;
+    }
+
+    log(this.name, `Triggering search for incomplete download: "${album.title}" (was: ${originalRelease})`);
+
+    // Blocklist the broken release first so the search doesn't grab it again
+    if (await this.blocklistBeforeSearch(historyItem, album.id)) return;
+
+    if (!CONFIG.dryRun) {
+      const success = await this.triggerCommand({
+        name: 'AlbumSearch',
+        albumIds: [album.id]
+      });
+
+      if (success) {
+        this.recordSearch(album.id);
+        log(this.name, `✅ Search triggered for album: ${album.title}`);
+        notify('search_triggered', this.name, album.title);
+        this.countSearch('triggered');
+      } else {
+        log(this.name, `❌ Failed to trigger search for album: ${album.title}`);
+        this.countSearch('failed');
+      }
+    } else {
+      log(this.name, `[DRY RUN] Would trigger search for album: ${album.title}`);
+    }
+  }
+
+  async getAllArtists() {
+    try {
+      const response = await this.axios.get(`/api/${this.apiVersion}/artist`);
+      return response.data || [];
+    } catch (error) {
+      log(this.name, `Error fetching artists: ${error.message}`);
+      return [];
+    }
+  }
+
+  async getAllAlbums() {
+    try {
+      const response = await this.axios.get(`/api/${this.apiVersion}/album`);
+      return response.data || [];
+    } catch (error) {
+      log(this.name, `Error fetching albums: ${error.message}`);
+      return [];
+    }
+  }
+
+  async getAlbumTracks(albumId) {
+    try {
+      const response = await this.axios.get(`/api/${this.apiVersion}/track`, {
+        params: { albumId }
+      });
+      return response.data || [];
+    } catch (error) {
+      log(this.name, `Error fetching tracks for album ${albumId}: ${error.message}`);
+      return [];
+    }
+  }
+
+  getDatabase() {
+    if (!this._db) {
+      if (!fs.existsSync(this.config.dbPath)) {
+        log(this.name, `Database not found at: ${this.config.dbPath}`);
+        return null;
+      }
+      this._db = new Database(this.config.dbPath);
+    }
+    return this._db;
+  }
+
+  parseTrackPosition(filename) {
+    // Try to extract disc and track number from filename: { discNumber, trackNumber }
+    // Various patterns used in music releases
+
+    // Pattern 1: 3-digit disc+track format (102 = disc 1 track 02, 201 = disc 2 track 01)
+    const discTrackMatch = filename.match(/^(\d)(\d{2})[-_.\s]/);
+    if (discTrackMatch) {
+      return { discNumber: parseInt(discTrackMatch[1]), trackNumber: parseInt(discTrackMatch[2]) };
+    }
+
+    // Pattern 1b: separated disc+track (1-02, 1.02, CD1-02, Disc 2 - 01, d2t01)
+    const separatedMatch = filename.match(/^(\d)[-.](\d{2})[-_.\s]/) ||
+      filename.match(/^(?:cd|dis[ck])\s*(\d{1,2})\s*[-_.\s]\s*(\d{1,2})[-_.\s]/i) ||
+      filename.match(/^d(\d{1,2})t(\d{1,2})\b/i);
+    if (separatedMatch) {
+      return { discNumber: parseInt(separatedMatch[1]), trackNumber: parseInt(separatedMatch[2]) };
+    }
+
+    // Pattern 2: Standard 1-2 digit track at start (01-..., 01_..., 01 ...)
+    const standardMatch = filename.match(/^(\d{1,2})[-_.\s]/);
+    if (standardMatch) {
+      return { discNumber: null, trackNumber: parseInt(standardMatch[1]) };
+    }
+
+    // Pattern 3: Track number in middle with _-_NN_-_ format (artist_-_08_-_title.mp3)
+    const middleMatch = filename.match(/_-_(\d{1,2})_-_/);
+    if (middleMatch) {
+      return { discNumber: null, trackNumber: parseInt(middleMatch[1]) };
+    }
+
+    // Pattern 4: Track keyword (track01, track 1)
+    const trackMatch = filename.match(/track\s*(\d{1,2})/i);
+    if (trackMatch) {
+      return { discNumber: null, trackNumber: parseInt(trackMatch[1]) };
+    }
+
+    // Pattern 5: Just digits at start followed by dot (01.title)
+    const dotMatch = filename.match(/^(\d{1,2})\./);
+    if (dotMatch) {
+      return { discNumber: null, trackNumber: parseInt(dotMatch[1]) };
+    }
+
+    // Pattern 6: [XX+YY] - XX. format (track XX of YY total)
+    // e.g., "[21+27] - 21. Murder of the Universe.mp3"
+    const bracketMatch = filename.match(/\[(\d{1,2})\+\d+\]\s*-\s*(\d{1,2})\./);
+    if (bracketMatch) {
+      return { discNumber: null, trackNumber: parseInt(bracketMatch[2]) }; // Use the number after the bracket
+    }
+
+    return null;
+  }
+
+  // Disc number from the folders between the download root and the file (CD1/, Disc 2/, "Album (Disc 3)/")
+  parseDiscFromFolders(relativePath) {
+    const folders = path.dirname(relativePath).split(path.sep).reverse();
+    for (const folder of folders) {
+      const match = folder.match(/(?:^|[\s._\-[(])(?:cd|dis[ck]|disque|medium)\s*[-_.]?\s*(\d{1,2})(?:$|[\s._\-\])])/i);
+      if (match) return parseInt(match[1]);
+    }
+    return null;
+  }
+
+  // Match an audio file to one of the album's tracks: MusicBrainz ID from the embedded tags
+  // first, then disc/track position (tags, then filename, then folder), then title similarity.
+  // Returns { track, method } - track is null if nothing matched unambiguously.
+  matchTrack(filePath, tracks, relativePath = path.basename(filePath)) {
+    const filename = path.basename(filePath);
+    const tags = readAudioTags(filePath) || emptyAudioTags();
+    const position = this.parseTrackPosition(filename) || {};
+
+    if (tags.releaseTrackMbid || tags.recordingMbid) {
+      const track = tracks.find(t =>
+        (tags.releaseTrackMbid && t.foreignTrackId === tags.releaseTrackMbid) ||
+        (tags.recordingMbid && t.foreignRecordingId === tags.recordingMbid)
+      );
+      if (track) return { track, method: 'MusicBrainz ID' };
+    }
+
+    const trackNumber = tags.trackNumber || position.trackNumber;
+    const discNumber = tags.discNumber || position.discNumber || this.parseDiscFromFolders(relativePath);
+    if (trackNumber) {
+      let candidates = tracks.filter(t => t.absoluteTrackNumber === trackNumber || parseInt(t.trackNumber) === trackNumber);
+      if (discNumber) candidates = candidates.filter(t => (t.mediumNumber || 1) === discNumber);
+      // Without a disc number the same track number on several discs is ambiguous - try the title
+      if (candidates.length === 1) {
+        return { track: candidates[0], method: discNumber ? `disc ${discNumber} track ${trackNumber}` : `track ${trackNumber}` };
+      }
+    }
+
+    // A tag title should be the track title itself, so it's scored against the longer of the
+    // two; a file name also carries the artist and other noise, so containing the title is enough
+    const title = tags.title || filename.replace(/\.[^.]+$/, '').replace(/^[\d\s._-]+/, '');
+    const titleWords = extractTitleWords(title);
+    let bestTrack = null;
+    let bestScore = 0;
+    for (const t of tracks) {
+      const trackWords = extractTitleWords(t.title || '');
+      let score = calculateMatchScore(titleWords, trackWords);
+      if (tags.title) {
+        const sizes = [new Set(titleWords).size, new Set(trackWords).size];
+        score *= Math.min(...sizes) / Math.max(...sizes, 1);
+      }
+      if (score > bestScore && score >= 0.6) {
+        bestScore = score;
+        bestTrack = t;
+      }
+    }
+    if (bestTrack) return { track: bestTrack, method: `title, score ${bestScore.toFixed(2)}` };
+
+    return { track: null, method: null };
+  }
+
+  async registerTrackFile(trackFilePath, albumId, track, releaseName = null) {
+    const db = this.getDatabase();
+    if (!db) {
+      log(this.name, 'Database not available');
+      return null;
+    }
+
+    try {
+      // Get file size
+      let fileSize = 0;
+      try {
+        const stats = fs.statSync(trackFilePath);
+        fileSize = stats.size;
+      } catch (e) {
+        log(this.name, `Could not get file size: ${e.message}`);
+      }
+
+      // Check if track file already exists for this path
       const existingFile = db.prepare(
-        'SELECT Id FROM EpisodeFiles WHERE SeriesId = ? AND RelativePath = ?'
-      ).get(episodeFile.seriesId, relativePath);
+        'SELECT Id FROM TrackFiles WHERE Path = ?'
+      ).get(trackFilePath);
+
+      if (existingFile) {
+        log(this.name, `Track file already registered with ID ${existingFile.Id}`);
+        // Ensure track is linked to this file
+        db.prepare('UPDATE Tracks SET TrackFileId = ? WHERE Id = ?').run(existingFile.Id, track.id);
+        metrics.inc('registrations_total', { monitor: this.name, result: 'relinked' });
+        this.recordRegistration(trackFilePath, `track:${track.id}`, existingFile.Id);
+        return { id: existingFile.Id };
+      }
+
+      // Extract release group from filename, falling back to the release name
+      const releaseGroupMatch = trackFilePath.match(/-([A-Za-z0-9]+)\.[^.]+$/);
+      const releaseGroup = releaseGroupMatch ? releaseGroupMatch[1] : parseReleaseInfo(releaseName || '').releaseGroup;
+
+      // Detect quality from file type, container probe and release-name tags
+      const probe = probeMediaFile(trackFilePath);
+      const quality = getLidarrQuality(trackFilePath, releaseName, probe);
+      const mediaInfo = buildLidarrMediaInfo(quality, probe);
+
+      // Quality format: quality is just the ID integer, not a nested object
+      const qualityJson = JSON.stringify({
+        quality: quality.id,
+        revision: parseAudioReleaseInfo(releaseName || '').revision
+      });
+
+      const now = new Date().toISOString();
+
+      // Insert new track file record
+      const result = db.prepare(`
+        INSERT INTO TrackFiles (AlbumId, Quality, Size, SceneName, DateAdded, ReleaseGroup, MediaInfo, Modified, Path, IndexerFlags)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0)
+      `).run(
+        albumId,
+        qualityJson,
+        fileSize,
+        path.basename(trackFilePath),
+        now,
+        releaseGroup,
+        JSON.stringify(mediaInfo),
+        now,
+        trackFilePath
+      );
+
+      const trackFileId = result.lastInsertRowid;
+      log(this.name, `Inserted TrackFile with ID ${trackFileId} (${quality.name})`);
+
+      // Link track to the new file
+      db.prepare('UPDATE Tracks SET TrackFileId = ? WHERE Id = ?').run(trackFileId, track.id);
+      log(this.name, `Linked track ${track.id} to file ${trackFileId}`);
+
+      metrics.inc('registrations_total', { monitor: this.name, result: 'created' });
+      this.recordRegistration(trackFilePath, `track:${track.id}`, trackFileId);
+      return { id: trackFileId };
+    } catch (error) {
+      log(this.name, `Error registering track file via DB: ${error.message}`);
+      return null;
+    }
+  }
+
+  hasAudioFiles(dirPath, maxDepth = 3) {
+    try {
+      const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+      for (const entry of entries) {
+        if (entry.isFile() && /\.(flac|mp3|m4a|aac|ogg|wav)$/i.test(entry.name) &&
+          this.isValidMediaFile(path.join(dirPath, entry.name))) {
+          return true;
+        }
+        if (entry.isDirectory() && maxDepth > 0) {
+          if (this.hasAudioFiles(path.join(dirPath, entry.name), maxDepth - 1)) {
+            return true;
+          }
+        }
+      }
+      return false;
+    } catch {
+      return false;
+    }
+  }
+
+  getAudioFiles(dirPath, basePath = null, maxDepth = 3) {
+    if (basePath === null) basePath = dirPath;
+    try {
+      const results = [];
+      const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+      for (const entry of entries) {
+        const fullPath = path.join(dirPath, entry.name);
+        const relativePath = path.relative(basePath, fullPath);
+        if (entry.isFile() && /\.(flac|mp3|m4a|aac|ogg|wav)$/i.test(entry.name) && this.isValidMediaFile(fullPath)) {
+          results.push(relativePath);
+        } else if (entry.isDirectory() && maxDepth > 0) {
+          results.push(...this.getAudioFiles(fullPath, basePath, maxDepth - 1));
+        }
+      }
+      return results;
+    } catch {
+      return [];
+    }
+  }
+
+  findBestAlbumMatch(jobName, allAlbums, allArtists) {
+    // Step 1: Find matching artist first
+    const { match: artist, score: artistScore } = findBestMatch(
+      jobName,
+      null,
+      allArtists,
+      a => a.artistName,
+      null
+    );
+
+    if (!artist || artistScore < 0.5) {
+      return { match: null, score: 0 };
+    }
+
+    // Step 2: Filter albums to this artist only
+    const artistAlbums = allAlbums.filter(a => a.artist?.artistName === artist.artistName);
+
+    if (artistAlbums.length === 0) {
+      return { match: null, score: 0 };
+    }
 
-      if (existingFile) {
-        log(this.name, `Episode file already registered with ID ${existingFile.Id}`);
-        // Update episode to link to existing file
-        for (const episodeId of episodeIds) {
-          db.prepare('UPDATE Episodes SET EpisodeFileId = ? WHERE Id = ?').run(existingFile.Id, episodeId);
-        }
-        return { id: existingFile.Id };
-      }
+    // Step 3: Match against album titles
+    const jobWords = extractTitleWords(jobName);
+    // Also create a normalized version for short title matching
+    const jobNameNormalized = jobName.toLowerCase().replace(/[^a-z0-9]/g, '');
 
-      // Insert new episode file record
-      // Quality format: {"quality": <id>, "revision": {"version": 1, "real": 0, "isRepack": false}}
-      // Languages format: [1] (array of language IDs, 1 = English)
-      const qualityJson = JSON.stringify({
-        quality: 3, // WEBDL-1080p as default
-        revision: { version: 1, real: 0, isRepack: false }
-      });
-      const languagesJson = '[1]'; // English
+    let bestMatch = null;
+    let bestScore = 0;
 
-      const result = db.prepare(`
-        INSERT INTO EpisodeFiles (SeriesId, Quality, Size, DateAdded, SeasonNumber, SceneName, ReleaseGroup, MediaInfo, RelativePath, OriginalFilePath, Languages, IndexerFlags, ReleaseType)
-        VALUES (?, ?, ?, datetime('now'), ?, ?, ?, NULL, ?, NULL, ?, 0, 0)
-      `).run(
-        episodeFile.seriesId,
-        qualityJson,
-        fileSize,
-        episodeFile.seasonNumber || 1,
-        episodeFile.sceneName || '',
-        releaseGroup,
-        relativePath,
-        languagesJson
-      );
+    for (const album of artistAlbums) {
+      const albumWords = extractTitleWords(album.title);
+      let score = 0;
 
-      const episodeFileId = result.lastInsertRowid;
-      log(this.name, `Inserted EpisodeFile with ID ${episodeFileId}`);
+      // For short album titles (1-2 words after extraction, or titles like "L.W.", "K.G.")
+      // Use normalized substring matching instead
+      const albumTitleNormalized = album.title.toLowerCase().replace(/[^a-z0-9]/g, '');
 
-      // Link episodes to the new file
-      for (const episodeId of episodeIds) {
-        db.prepare('UPDATE Episodes SET EpisodeFileId = ? WHERE Id = ?').run(episodeFileId, episodeId);
-        log(this.name, `Linked episode ${episodeId} to file ${episodeFileId}`);
+      if (albumWords.length <= 1 || album.title.length <= 4) {
+        // Short title: check if normalized album title appears in normalized job name
+        if (albumTitleNormalized.length >= 2 && jobNameNormalized.includes(albumTitleNormalized)) {
+          score = 1.0; // Perfect match for short titles
+        }
+      } else {
+        // Normal word-based matching for longer titles
+        let matchingWords = 0;
+        for (const word of albumWords) {
+          if (jobWords.includes(word)) {
+            matchingWords++;
+          }
+        }
+        score = albumWords.length > 0 ? matchingWords / albumWords.length : 0;
       }
 
-      return { id: episodeFileId };
-    } catch (error) {
-      log(this.name, `Error registering episode file via DB: ${error.message}`);
-      return null;
+      if (score > bestScore) {
+        bestScore = score;
+        bestMatch = album;
+      }
     }
-  }
 
-  async registerEpisodeFileViaApi(episodeFile, episodeIds) {
-    try {
-      // Fallback to API method (will fail on read-only filesystem)
-      const files = [{
-        path: episodeFile.path,
-        seriesId: episodeFile.seriesId,
-        episodeIds: episodeIds,
-        quality: episodeFile.quality,
-        releaseGroup: episodeFile.releaseGroup || ''
-      }];
+    // Require at least 50% of album title words to match
+    if (bestScore >= 0.5) {
+      return { match: bestMatch, score: bestScore };
+    }
 
-      const command = {
-        name: 'ManualImport',
-        files: files,
-        importMode: 'auto'
-      };
+    return { match: null, score: 0 };
+  }
 
-      const response = await this.axios.post(`/api/${this.apiVersion}/command`, command);
-      return response.data;
-    } catch (error) {
-      log(this.name, `Error registering episode file via API: ${error.message}`);
-      return null;
+  // Match a history slot to an album: exact grab by download ID first, fuzzy artist/album as fallback
+  matchAlbum(historyItem, jobName, allAlbums, allArtists, grabIndex) {
+    const grab = this.findGrab(grabIndex, historyItem);
+    if (grab?.albumId) {
+      const album = allAlbums.find(a => a.id === grab.albumId);
+      if (album) {
+        return { album, method: 'download_id', strategy: `download ID (${grab.source})` };
+      }
     }
+
+    // Match artist first, then album within that artist
+    const { match: album, score } = this.findBestAlbumMatch(jobName, allAlbums, allArtists);
+    return { album, method: 'fuzzy', strategy: `fuzzy title, score: ${score.toFixed(2)}` };
   }
 
-  async processHistory(nzbdavHistory) {
-    const allSeries = await this.getAllSeries();
+  async processHistory(nzbdavHistory, { force = false, fullPoll = false } = {}) {
+    // Only configured categories, skipping slots already handled on earlier polls
+    const pendingHistory = this.filterPendingHistory(nzbdavHistory, { force, fullPoll });
+    if (pendingHistory.length === 0) return;
+
+    const allArtists = await this.getAllArtists();
+    const allAlbums = await this.getAllAlbums();
+    const grabIndex = await this.buildGrabIndex();
 
-    for (const historyItem of nzbdavHistory) {
+    for (const historyItem of pendingHistory) {
       const jobName = historyItem.job_name || historyItem.name || '';
-      const category = (historyItem.category || historyItem.Category || '').toLowerCase();
 
-      // Only process configured categories
-      if (!this.config.categories.some(cat => category.includes(cat))) continue;
+      const { album, method, strategy } = this.matchAlbum(historyItem, jobName, allAlbums, allArtists, grabIndex);
 
-      // Try to parse episode information (individual episode or season pack)
-      const episodeInfo = this.parseEpisodeInfo(jobName);
-      const seasonInfo = !episodeInfo ? this.parseSeasonInfo(jobName) : null;
+      if (!album) {
+        // Fall back to artist-only matching for logging
+        const { match: artist, score: artistScore } = findBestMatch(
+          jobName,
+          null,
+          allArtists,
+          a => a.artistName,
+          null
+        );
 
-      if (!episodeInfo && !seasonInfo) {
-        log(this.name, `Could not parse episode/season info from: ${jobName}`);
+        if (!artist) {
+          log(this.name, `No matching artist/album found for: ${jobName}`);
+          this.recordOutcome(historyItem, 'unmatched');
+          continue;
+        }
+
+        log(this.name, `Matched "${jobName}" to artist "${artist.artistName}" (score: ${artistScore.toFixed(2)}) - no specific album match`);
+        this.recordOutcome(historyItem, 'unmatched', `artist:${artist.id}`);
         continue;
       }
 
-      // Use improved word-based matching
-      const { match: series, score } = findBestMatch(
-        jobName,
-        null, // TV shows don't typically have year in release name
-        allSeries,
-        s => s.title,
-        s => s.year
-      );
+      log(this.name, `Matched "${jobName}" to album "${album.title}" by "${album.artist?.artistName}" (${strategy})`);
+      metrics.inc('matches_total', { monitor: this.name, strategy: method });
 
-      if (!series) {
-        log(this.name, `No matching series found for: ${jobName}`);
+      // Skip unmonitored albums - don't trigger searches or register files
+      if (!album.monitored) {
+        log(this.name, `Skipping unmonitored album: ${album.title}`);
+        this.recordOutcome(historyItem, 'unmonitored', `album:${album.id}`);
         continue;
       }
 
-      log(this.name, `Matched "${jobName}" to "${series.title}" (score: ${score.toFixed(2)})`);
+      // Check if album already has all tracks with files
+      const tracks = await this.getAlbumTracks(album.id);
+      const tracksWithoutFiles = tracks.filter(t => !t.hasFile);
+
+      if (tracksWithoutFiles.length === 0) {
+        this.recordOutcome(historyItem, 'has_file', `album:${album.id}`);
+        continue; // All tracks already have files
+      }
 
+      // Find the download directory
       const downloadPath = path.join(this.config.mountPath, jobName);
+      let actualDownloadPath = downloadPath;
 
-      // Handle season packs differently from individual episodes
-      if (seasonInfo) {
-        await this.processSeasonPack(series, seasonInfo.season, downloadPath, jobName);
-        continue;
+      // Check for actual files
+      if (!fs.existsSync(downloadPath) || !this.hasAudioFiles(downloadPath)) {
+        // Try numbered versions, looking into CD1/ / Disc 2/ subfolders for audio
+        const numberedPath = this.findNumberedVersion(downloadPath, jobName, dirPath => this.hasAudioFiles(dirPath));
+        if (numberedPath) {
+          actualDownloadPath = numberedPath;
+        } else {
+          log(this.name, `No audio files found for album "${album.title}" - download appears incomplete`);
+          this.recordOutcome(historyItem, 'incomplete', `album:${album.id}`);
+          await this.triggerSearchForIncompleteDownload(album, jobName, historyItem);
+          continue;
+        }
       }
 
-      // Individual episode handling (existing logic)
-      const episode = await this.getEpisode(series.id, episodeInfo.season, episodeInfo.episode);
-      if (!episode) {
-        log(this.name, `Episode S${episodeInfo.season}E${episodeInfo.episode} not found for ${series.title}`);
+      const audioFiles = this.getAudioFiles(actualDownloadPath);
+      if (audioFiles.length === 0) {
+        log(this.name, `No audio files found in ${actualDownloadPath}`);
+        this.recordOutcome(historyItem, 'incomplete', `album:${album.id}`);
+        await this.triggerSearchForIncompleteDownload(album, jobName, historyItem);
         continue;
       }
 
-      // Check if episode already has a file
-      if (episode.hasFile) {
-        continue;
-      }
+      log(this.name, `Found ${audioFiles.length} audio files for album "${album.title}" (${tracksWithoutFiles.length} tracks need files)`);
 
-      // Find the actual video file in the download directory
-      let videoFile = null;
-      let actualDownloadPath = downloadPath;
+      // Match audio files to tracks
+      let registeredCount = 0;
+      // Only tracks whose registration went through - a failed insert leaves the track open
+      // for another file and keeps it counted as missing
+      const registeredTrackIds = new Set();
 
-      try {
-        if (fs.existsSync(downloadPath)) {
-          const files = fs.readdirSync(downloadPath);
-          videoFile = files.find(f => /\.(mkv|mp4|avi|mov)$/i.test(f));
+      for (const audioFile of audioFiles) {
+        const fullPath = path.join(actualDownloadPath, audioFile);
+        const { track, method } = this.matchTrack(fullPath, tracks, audioFile);
+        if (!track) {
+          log(this.name, `Could not match a track for: ${audioFile}`);
+          continue;
         }
 
-        // If no video in original path, check for numbered versions (2), (3), etc.
-        if (!videoFile) {
-          const numberedPath = this.findNumberedVersion(downloadPath, jobName);
-          if (numberedPath) {
-            actualDownloadPath = numberedPath;
-            const files = fs.readdirSync(numberedPath);
-            videoFile = files.find(f => /\.(mkv|mp4|avi|mov)$/i.test(f));
+        if (track.hasFile || registeredTrackIds.has(track.id)) {
+          continue; // Track already has a file
+        }
+
+        log(this.name, `Registering track ${track.mediumNumber || 1}-${track.absoluteTrackNumber} "${track.title}" (${method}): ${audioFile}`);
+
+        if (!CONFIG.dryRun) {
+          const registered = await this.registerTrackFile(fullPath, album.id, track, jobName);
+          if (registered) {
+            registeredTrackIds.add(track.id);
+            registeredCount++;
           }
+        } else {
+          log(this.name, `[DRY RUN] Would register: ${fullPath}`);
+          registeredTrackIds.add(track.id);
+          registeredCount++;
         }
-      } catch (error) {
-        log(this.name, `Error scanning directory ${downloadPath}: ${error.message}`);
-        continue;
       }
 
-      if (!videoFile) {
-        log(this.name, `No video file found in ${downloadPath} - download appears incomplete`);
-        await this.triggerSearchForIncompleteDownload(series, episode, jobName);
-        continue;
+      this.recordOutcome(historyItem, registeredCount > 0 ? 'registered' : 'unmatched', `album:${album.id}`);
+
+      if (registeredCount > 0) {
+        const completeness = this.describeMediumCompleteness(tracks, registeredTrackIds);
+        log(this.name, `✅ Registered ${registeredCount} tracks for album "${album.title}" (${completeness.summary})`);
+        if (completeness.incomplete.length > 0) {
+          log(this.name, `Album "${album.title}" is still missing tracks on ${completeness.incomplete.map(m => `disc ${m}`).join(', ')}`);
+        }
+        if (!CONFIG.dryRun) {
+          notify('registered', this.name, `${album.artist?.artistName} - ${album.title} (${registeredCount} tracks, ${completeness.summary})`);
+          requestMediaScan(actualDownloadPath);
+        }
+        // Clear any failed queue entries for this album
+        await this.clearFailedQueueEntries(item => item.albumId === album.id);
+        // Trigger artist refresh to update Lidarr UI immediately
+        await this.refreshArtist(album.artist?.artistMetadataId || album.artistId);
       }
+    }
+  }
 
-      const fullPath = path.join(actualDownloadPath, videoFile);
-      log(this.name, `Registering ${series.title} S${episodeInfo.season}E${episodeInfo.episode}: ${fullPath}`);
+  // Tracks with files per medium, counting the ones just registered:
+  // { summary: 'disc 1 12/12, disc 2 8/10', incomplete: [2] }
+  describeMediumCompleteness(tracks, registeredTrackIds) {
+    const media = new Map();
+    for (const track of tracks) {
+      const mediumNumber = track.mediumNumber || 1;
+      const medium = media.get(mediumNumber) || { total: 0, withFiles: 0 };
+      medium.total++;
+      if (track.hasFile || registeredTrackIds.has(track.id)) medium.withFiles++;
+      media.set(mediumNumber, medium);
+    }
 
-      if (!CONFIG.dryRun) {
-        const episodeFile = {
-          path: fullPath,
-          seriesId: series.id,
-          seasonNumber: episodeInfo.season,
-          quality: { quality: { id: 1, name: 'Unknown' } },
-          releaseGroup: '',
-          sceneName: videoFile
-        };
+    const mediumNumbers = [...media.keys()].sort((a, b) => a - b);
+    const counts = mediumNumbers.map(n => `${media.get(n).withFiles}/${media.get(n).total}`);
+    return {
+      summary: mediumNumbers.length === 1
+        ? `${counts[0]} tracks with files`
+        : mediumNumbers.map((n, i) => `disc ${n} ${counts[i]}`).join(', '),
+      incomplete: mediumNumbers.filter(n => media.get(n).withFiles < media.get(n).total)
+    };
+  }
 
-        const registered = await this.registerEpisodeFile(episodeFile, [episode.id]);
-        if (registered) {
-          log(this.name, `✅ Successfully registered: ${series.title} S${episodeInfo.season}E${episodeInfo.episode}`);
-          // Clear any failed queue entries for this episode
-          await this.clearFailedQueueEntries(item =>
-            item.seriesId === series.id &&
-            item.episodeId === episode.id
-          );
-        }
-      } else {
-        log(this.name, `[DRY RUN] Would register episode file: ${fullPath}`);
-      }
+  async refreshArtist(artistId) {
+    if (!artistId) return;
+    try {
+      await this.axios.post(`/api/${this.apiVersion}/command`, {
+        name: 'RefreshArtist',
+        artistId: artistId
+      });
+      log(this.name, `Triggered refresh for artist ${artistId}`);
+    } catch (error) {
+      log(this.name, `Failed to trigger artist refresh: ${error.message}`);
     }
   }
 
@@ -1135,43 +4814,41 @@ class SonarrMonitor extends ArrClient {
       return 0;
     }
 
-    log(this.name, 'Checking for stale episode files...');
+    log(this.name, 'Checking for stale track files...');
     let cleanedCount = 0;
+    const artistsToRefresh = new Set();
+    const albumsToSearch = new Set();
 
     try {
-      // Get all episode files with their linked episodes
-      const episodeFiles = db.prepare(`
-        SELECT ef.Id, ef.SeriesId, ef.RelativePath, s.Title as SeriesTitle, s.Monitored as SeriesMonitored,
-               GROUP_CONCAT(e.Id) as EpisodeIds
-        FROM EpisodeFiles ef
-        JOIN Series s ON s.Id = ef.SeriesId
-        LEFT JOIN Episodes e ON e.EpisodeFileId = ef.Id
-        GROUP BY ef.Id
-      `).all();
-
-      for (const ef of episodeFiles) {
-        const fullPath = path.join(this.config.mountPath, ef.RelativePath);
+      // Get all track files with their album and artist info
+      const trackFiles = db.prepare(`
+        SELECT tf.Id, tf.AlbumId, tf.Path, a.Title as AlbumTitle, a.Monitored as AlbumMonitored, am.Name as ArtistName, a.ArtistMetadataId
+        FROM TrackFiles tf
+        JOIN Albums a ON a.Id = tf.AlbumId
+        JOIN ArtistMetadata am ON am.Id = a.ArtistMetadataId
+        WHERE tf.Path LIKE ?
+      `).all(this.config.mountPath + '%');
 
+      for (const tf of trackFiles) {
         // Check if file exists on disk
-        if (!fs.existsSync(fullPath)) {
-          log(this.name, `Stale file detected: "${ef.SeriesTitle}" - ${ef.RelativePath}`);
-
-          if (!CONFIG.dryRun) {
-            // Get episode IDs before unlinking
-            const episodeIds = ef.EpisodeIds ? ef.EpisodeIds.split(',').map(id => parseInt(id)) : [];
-
-            // Unlink episodes from this file
-            db.prepare('UPDATE Episodes SET EpisodeFileId = 0 WHERE EpisodeFileId = ?').run(ef.Id);
-            // Delete the episode file record
-            db.prepare('DELETE FROM EpisodeFiles WHERE Id = ?').run(ef.Id);
-            log(this.name, `Deleted stale episode file record ID ${ef.Id}`);
+        if (!fs.existsSync(tf.Path)) {
+          log(this.name, `Stale file detected: "${tf.ArtistName}" - "${tf.AlbumTitle}" - ${path.basename(tf.Path)}`);
 
-            // Only trigger search if series is monitored
-            if (ef.SeriesMonitored && episodeIds.length > 0) {
-              await this.triggerCommand({ name: 'EpisodeSearch', episodeIds });
-              log(this.name, `Triggered search for ${episodeIds.length} episode(s)`);
-            } else if (!ef.SeriesMonitored) {
-              log(this.name, `Skipping search for unmonitored series: ${ef.SeriesTitle}`);
+          if (!CONFIG.dryRun) {
+            // Unlink tracks from this file
+            db.prepare('UPDATE Tracks SET TrackFileId = 0 WHERE TrackFileId = ?').run(tf.Id);
+            // Delete the track file record
+            db.prepare('DELETE FROM TrackFiles WHERE Id = ?').run(tf.Id);
+            log(this.name, `Deleted stale track file record ID ${tf.Id}`);
+            notify('stale_removed', this.name, `${tf.ArtistName} - ${tf.AlbumTitle} - ${path.basename(tf.Path)}`);
+            requestMediaScan(tf.Path, 'Deleted');
+
+            artistsToRefresh.add(tf.ArtistMetadataId);
+            // Only search for monitored albums
+            if (tf.AlbumMonitored) {
+              albumsToSearch.add(tf.AlbumId);
+            } else {
+              log(this.name, `Skipping search for unmonitored album: ${tf.AlbumTitle}`);
             }
             cleanedCount++;
           } else {
@@ -1181,8 +4858,24 @@ class SonarrMonitor extends ArrClient {
         }
       }
 
+      // Refresh affected artists to update UI
+      for (const artistMetadataId of artistsToRefresh) {
+        await this.refreshArtist(artistMetadataId);
+      }
+
+      // Trigger searches for affected albums
+      if (albumsToSearch.size > 0) {
+        const albumIds = Array.from(albumsToSearch);
+        const searched = await this.triggerCommand({ name: 'AlbumSearch', albumIds });
+        this.countSearch(searched ? 'triggered' : 'failed', albumIds.length);
+        if (searched) {
+          notify('search_triggered', this.name, `${albumIds.length} album(s) after stale cleanup`);
+        }
+        log(this.name, `Triggered search for ${albumIds.length} album(s)`);
+      }
+
       if (cleanedCount > 0) {
-        log(this.name, `🧹 Cleaned up ${cleanedCount} stale episode files`);
+        log(this.name, `🧹 Cleaned up ${cleanedCount} stale track files`);
       }
     } catch (error) {
       log(this.name, `Error during stale file cleanup: ${error.message}`);
@@ -1192,71 +4885,63 @@ class SonarrMonitor extends ArrClient {
   }
 }
 
-// Lidarr-specific handler
-class LidarrMonitor extends ArrClient {
+// Readarr-specific handler (ebooks and audiobooks)
+class ReadarrMonitor extends ArrClient {
   constructor(name, config, apiVersion = 'v1') {
     super(name, config, apiVersion);
-    // Track recently searched albums to avoid repeated searches
-    this.recentlySearched = new Map(); // albumId -> timestamp
-    this.searchCooldownMs = CONFIG.searchCooldownMs;
   }
 
-  async triggerSearchForIncompleteDownload(album, originalRelease) {
-    const lastSearch = this.recentlySearched.get(album.id);
+  async triggerSearchForIncompleteDownload(book, originalRelease, historyItem = null) {
+    const lastSearch = this.getSearchCooldown(book.id);
 
-    if (lastSearch && (Date.now() - lastSearch) < this.searchCooldownMs) {
+    if (lastSearch) {
       const hoursAgo = ((Date.now() - lastSearch) / (60 * 60 * 1000)).toFixed(1);
-      log(this.name, `Skipping search for album "${album.title}" - already searched ${hoursAgo}h ago`);
+      log(this.name, `Skipping search for book "${book.title}" - already searched ${hoursAgo}h ago`);
+      this.countSearch('suppressed');
       return;
     }
 
-    log(this.name, `Triggering search for incomplete download: "${album.title}" (was: ${originalRelease})`);
+    log(this.name, `Triggering search for incomplete download: "${book.title}" (was: ${originalRelease})`);
+
+    // Blocklist the broken release first so the search doesn't grab it again
+    if (await this.blocklistBeforeSearch(historyItem, book.id)) return;
 
     if (!CONFIG.dryRun) {
       const success = await this.triggerCommand({
-        name: 'AlbumSearch',
-        albumIds: [album.id]
+        name: 'BookSearch',
+        bookIds: [book.id]
       });
 
       if (success) {
-        this.recentlySearched.set(album.id, Date.now());
-        log(this.name, `✅ Search triggered for album: ${album.title}`);
+        this.recordSearch(book.id);
+        log(this.name, `✅ Search triggered for book: ${book.title}`);
+        notify('search_triggered', this.name, book.title);
+        this.countSearch('triggered');
       } else {
-        log(this.name, `❌ Failed to trigger search for album: ${album.title}`);
+        log(this.name, `❌ Failed to trigger search for book: ${book.title}`);
+        this.countSearch('failed');
       }
     } else {
-      log(this.name, `[DRY RUN] Would trigger search for album: ${album.title}`);
-    }
-  }
-
-  async getAllArtists() {
-    try {
-      const response = await this.axios.get(`/api/${this.apiVersion}/artist`);
-      return response.data || [];
-    } catch (error) {
-      log(this.name, `Error fetching artists: ${error.message}`);
-      return [];
+      log(this.name, `[DRY RUN] Would trigger search for book: ${book.title}`);
     }
   }
 
-  async getAllAlbums() {
+  async getAllAuthors() {
     try {
-      const response = await this.axios.get(`/api/${this.apiVersion}/album`);
+      const response = await this.axios.get(`/api/${this.apiVersion}/author`);
       return response.data || [];
     } catch (error) {
-      log(this.name, `Error fetching albums: ${error.message}`);
+      log(this.name, `Error fetching authors: ${error.message}`);
       return [];
     }
   }
 
-  async getAlbumTracks(albumId) {
+  async getAllBooks() {
     try {
-      const response = await this.axios.get(`/api/${this.apiVersion}/track`, {
-        params: { albumId }
-      });
+      const response = await this.axios.get(`/api/${this.apiVersion}/book`);
       return response.data || [];
     } catch (error) {
-      log(this.name, `Error fetching tracks for album ${albumId}: ${error.message}`);
+      log(this.name, `Error fetching books: ${error.message}`);
       return [];
     }
   }
@@ -1272,51 +4957,117 @@ class LidarrMonitor extends ArrClient {
     return this._db;
   }
 
-  parseTrackNumber(filename) {
-    // Try to extract track number from filename
-    // Various patterns used in music releases
+  // Collect ebook and audiobook files, sorted so multi-part audiobooks keep their order
+  getBookFiles(dirPath, basePath = null, maxDepth = 3) {
+    if (basePath === null) basePath = dirPath;
+    try {
+      const results = [];
+      const entries = fs.readdirSync(dirPath, { withFileTypes: true });
+      for (const entry of entries) {
+        const fullPath = path.join(dirPath, entry.name);
+        const isBookFile = EBOOK_EXTENSIONS.test(entry.name) || AUDIOBOOK_EXTENSIONS.test(entry.name);
+        if (entry.isFile() && isBookFile && this.isValidMediaFile(fullPath)) {
+          results.push(path.relative(basePath, fullPath));
+        } else if (entry.isDirectory() && maxDepth > 0) {
+          results.push(...this.getBookFiles(fullPath, basePath, maxDepth - 1));
+        }
+      }
+      return results.sort((a, b) => a.localeCompare(b, undefined, { numeric: true }));
+    } catch {
+      return [];
+    }
+  }
 
-    // Pattern 1: 3-digit disc+track format (102 = disc 1 track 02, 201 = disc 2 track 01)
-    const discTrackMatch = filename.match(/^(\d)(\d{2})[-_.\s]/);
-    if (discTrackMatch) {
-      return parseInt(discTrackMatch[2]); // Return just the track portion
+  // Pick what to register: every audio part for an audiobook, or the single preferred ebook format
+  selectBookFiles(files) {
+    const audioFiles = files.filter(f => AUDIOBOOK_EXTENSIONS.test(f));
+    if (audioFiles.length > 0) {
+      // A single .m4b is the whole book - don't also register loose mp3 parts
+      const m4b = audioFiles.filter(f => /\.m4b$/i.test(f));
+      return { type: 'audiobook', files: m4b.length === 1 ? m4b : audioFiles };
     }
 
-    // Pattern 2: Standard 1-2 digit track at start (01-..., 01_..., 01 ...)
-    const standardMatch = filename.match(/^(\d{1,2})[-_.\s]/);
-    if (standardMatch) {
-      return parseInt(standardMatch[1]);
+    for (const ext of EBOOK_FORMAT_PREFERENCE) {
+      const match = files.find(f => path.extname(f).toLowerCase() === ext);
+      if (match) return { type: 'ebook', files: [match] };
     }
 
-    // Pattern 3: Track number in middle with _-_NN_-_ format (artist_-_08_-_title.mp3)
-    const middleMatch = filename.match(/_-_(\d{1,2})_-_/);
-    if (middleMatch) {
-      return parseInt(middleMatch[1]);
+    return { type: null, files: [] };
+  }
+
+  findBestBookMatch(jobName, allBooks, allAuthors) {
+    // Step 1: Find matching author first
+    const { match: author, score: authorScore } = findBestMatch(
+      jobName,
+      null,
+      allAuthors,
+      a => a.authorName,
+      null
+    );
+
+    if (!author || authorScore < 0.5) {
+      return { match: null, score: 0 };
     }
 
-    // Pattern 4: Track keyword (track01, track 1)
-    const trackMatch = filename.match(/track\s*(\d{1,2})/i);
-    if (trackMatch) {
-      return parseInt(trackMatch[1]);
+    // Step 2: Filter books to this author only
+    const authorBooks = allBooks.filter(b => b.authorId === author.id);
+
+    if (authorBooks.length === 0) {
+      return { match: null, score: 0 };
     }
 
-    // Pattern 5: Just digits at start followed by dot (01.title)
-    const dotMatch = filename.match(/^(\d{1,2})\./);
-    if (dotMatch) {
-      return parseInt(dotMatch[1]);
+    // Step 3: Match against book titles (subtitles after ":" are often missing from release names)
+    const jobWords = extractTitleWords(jobName);
+    const jobNameNormalized = jobName.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+    let bestMatch = null;
+    let bestScore = 0;
+
+    for (const book of authorBooks) {
+      const mainTitle = book.title.split(':')[0];
+      const titleWords = extractTitleWords(mainTitle);
+      let score = 0;
+
+      if (titleWords.length <= 1) {
+        // Short title: check if normalized title appears in normalized job name
+        const titleNormalized = mainTitle.toLowerCase().replace(/[^a-z0-9]/g, '');
+        if (titleNormalized.length >= 2 && jobNameNormalized.includes(titleNormalized)) {
+          score = 1.0;
+        }
+      } else {
+        const matchingWords = titleWords.filter(word => jobWords.includes(word)).length;
+        score = matchingWords / titleWords.length;
+      }
+
+      if (score > bestScore) {
+        bestScore = score;
+        bestMatch = book;
+      }
     }
 
-    // Pattern 6: [XX+YY] - XX. format (track XX of YY total)
-    // e.g., "[21+27] - 21. Murder of the Universe.mp3"
-    const bracketMatch = filename.match(/\[(\d{1,2})\+\d+\]\s*-\s*(\d{1,2})\./);
-    if (bracketMatch) {
-      return parseInt(bracketMatch[2]); // Use the number after the bracket
+    // Require at least 50% of book title words to match
+    if (bestScore >= 0.5) {
+      return { match: bestMatch, score: bestScore };
     }
 
-    return null;
+    return { match: null, score: 0 };
+  }
+
+  // Match a history slot to a book: exact grab by download ID first, fuzzy author/title as fallback
+  matchBook(historyItem, jobName, allBooks, allAuthors, grabIndex) {
+    const grab = this.findGrab(grabIndex, historyItem);
+    if (grab?.bookId) {
+      const book = allBooks.find(b => b.id === grab.bookId);
+      if (book) {
+        return { book, method: 'download_id', strategy: `download ID (${grab.source})` };
+      }
+    }
+
+    const { match: book, score } = this.findBestBookMatch(jobName, allBooks, allAuthors);
+    return { book, method: 'fuzzy', strategy: `fuzzy title, score: ${score.toFixed(2)}` };
   }
 
-  async registerTrackFile(trackFilePath, albumId, track) {
+  async registerBookFile(bookFilePath, book, part = 1, partCount = 1) {
     const db = this.getDatabase();
     if (!db) {
       log(this.name, 'Database not available');
@@ -1324,296 +5075,160 @@ class LidarrMonitor extends ArrClient {
     }
 
     try {
+      // Book files belong to an edition - use the monitored one, or any edition of the book
+      const edition = db.prepare(
+        'SELECT Id FROM Editions WHERE BookId = ? ORDER BY Monitored DESC, Id ASC LIMIT 1'
+      ).get(book.id);
+
+      if (!edition) {
+        log(this.name, `No edition found for book ${book.id} - cannot register file`);
+        return null;
+      }
+
       // Get file size
       let fileSize = 0;
       try {
-        const stats = fs.statSync(trackFilePath);
+        const stats = fs.statSync(bookFilePath);
         fileSize = stats.size;
       } catch (e) {
         log(this.name, `Could not get file size: ${e.message}`);
       }
 
-      // Check if track file already exists for this path
+      // Check if book file already exists for this path
       const existingFile = db.prepare(
-        'SELECT Id FROM TrackFiles WHERE Path = ?'
-      ).get(trackFilePath);
+        'SELECT Id FROM BookFiles WHERE Path = ?'
+      ).get(bookFilePath);
 
       if (existingFile) {
-        log(this.name, `Track file already registered with ID ${existingFile.Id}`);
-        // Ensure track is linked to this file
-        db.prepare('UPDATE Tracks SET TrackFileId = ? WHERE Id = ?').run(existingFile.Id, track.id);
+        log(this.name, `Book file already registered with ID ${existingFile.Id}`);
+        metrics.inc('registrations_total', { monitor: this.name, result: 'relinked' });
+        this.recordRegistration(bookFilePath, `book:${book.id}`, existingFile.Id);
         return { id: existingFile.Id };
       }
 
       // Extract release group from filename
-      const releaseGroupMatch = trackFilePath.match(/-([A-Za-z0-9]+)\.[^.]+$/);
+      const releaseGroupMatch = bookFilePath.match(/-([A-Za-z0-9]+)\.[^.]+$/);
       const releaseGroup = releaseGroupMatch ? releaseGroupMatch[1] : '';
 
-      // Detect quality from file extension
-      const ext = path.extname(trackFilePath).toLowerCase();
-      let qualityId = 1; // Unknown
-      let qualityName = 'Unknown';
-      if (ext === '.flac') {
-        // Check if 24bit based on filename
-        if (trackFilePath.toLowerCase().includes('24bit') || trackFilePath.toLowerCase().includes('24-bit')) {
-          qualityId = 21;
-          qualityName = 'FLAC 24bit';
-        } else {
-          qualityId = 6;
-          qualityName = 'FLAC';
-        }
-      } else if (ext === '.mp3') {
-        qualityId = 4;
-        qualityName = 'MP3-320';
-      } else if (ext === '.m4a' || ext === '.aac') {
-        qualityId = 5;
-        qualityName = 'AAC-320';
-      }
-
-      // Quality format: quality is just the ID integer, not a nested object
+      const ext = path.extname(bookFilePath).toLowerCase();
       const qualityJson = JSON.stringify({
-        quality: qualityId,
+        quality: READARR_QUALITY_IDS[ext] || 0, // 0 = Unknown
         revision: { version: 1, real: 0, isRepack: false }
       });
 
       const now = new Date().toISOString();
 
-      // Insert new track file record
+      // IndexerFlags only exists in newer Readarr schemas
+      if (this._hasIndexerFlags === undefined) {
+        this._hasIndexerFlags = db.prepare('PRAGMA table_info(BookFiles)').all().some(c => c.name === 'IndexerFlags');
+      }
+
       const result = db.prepare(`
-        INSERT INTO TrackFiles (AlbumId, Quality, Size, SceneName, DateAdded, ReleaseGroup, MediaInfo, Modified, Path, IndexerFlags)
-        VALUES (?, ?, ?, ?, ?, ?, NULL, ?, ?, 0)
+        INSERT INTO BookFiles (EditionId, CalibreId, Quality, Size, SceneName, DateAdded, ReleaseGroup, MediaInfo, Modified, Path, Part, PartCount${this._hasIndexerFlags ? ', IndexerFlags' : ''})
+        VALUES (?, 0, ?, ?, ?, ?, ?, NULL, ?, ?, ?, ?${this._hasIndexerFlags ? ', 0' : ''})
       `).run(
-        albumId,
+        edition.Id,
         qualityJson,
         fileSize,
-        path.basename(trackFilePath),
+        path.basename(bookFilePath),
         now,
         releaseGroup,
-        now,
-        trackFilePath
-      );
-
-      const trackFileId = result.lastInsertRowid;
-      log(this.name, `Inserted TrackFile with ID ${trackFileId}`);
-
-      // Link track to the new file
-      db.prepare('UPDATE Tracks SET TrackFileId = ? WHERE Id = ?').run(trackFileId, track.id);
-      log(this.name, `Linked track ${track.id} to file ${trackFileId}`);
-
-      return { id: trackFileId };
-    } catch (error) {
-      log(this.name, `Error registering track file via DB: ${error.message}`);
-      return null;
-    }
-  }
-
-  hasAudioFiles(dirPath, maxDepth = 3) {
-    try {
-      const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-      for (const entry of entries) {
-        if (entry.isFile() && /\.(flac|mp3|m4a|aac|ogg|wav)$/i.test(entry.name)) {
-          return true;
-        }
-        if (entry.isDirectory() && maxDepth > 0) {
-          if (this.hasAudioFiles(path.join(dirPath, entry.name), maxDepth - 1)) {
-            return true;
-          }
-        }
-      }
-      return false;
-    } catch {
-      return false;
-    }
-  }
-
-  getAudioFiles(dirPath, basePath = null, maxDepth = 3) {
-    if (basePath === null) basePath = dirPath;
-    try {
-      const results = [];
-      const entries = fs.readdirSync(dirPath, { withFileTypes: true });
-      for (const entry of entries) {
-        const fullPath = path.join(dirPath, entry.name);
-        const relativePath = path.relative(basePath, fullPath);
-        if (entry.isFile() && /\.(flac|mp3|m4a|aac|ogg|wav)$/i.test(entry.name)) {
-          results.push(relativePath);
-        } else if (entry.isDirectory() && maxDepth > 0) {
-          results.push(...this.getAudioFiles(fullPath, basePath, maxDepth - 1));
-        }
-      }
-      return results;
-    } catch {
-      return [];
-    }
-  }
-
-  findBestAlbumMatch(jobName, allAlbums, allArtists) {
-    // Step 1: Find matching artist first
-    const { match: artist, score: artistScore } = findBestMatch(
-      jobName,
-      null,
-      allArtists,
-      a => a.artistName,
-      null
-    );
-
-    if (!artist || artistScore < 0.5) {
-      return { match: null, score: 0 };
-    }
-
-    // Step 2: Filter albums to this artist only
-    const artistAlbums = allAlbums.filter(a => a.artist?.artistName === artist.artistName);
-
-    if (artistAlbums.length === 0) {
-      return { match: null, score: 0 };
-    }
-
-    // Step 3: Match against album titles
-    const jobWords = extractTitleWords(jobName);
-    // Also create a normalized version for short title matching
-    const jobNameNormalized = jobName.toLowerCase().replace(/[^a-z0-9]/g, '');
-
-    let bestMatch = null;
-    let bestScore = 0;
-
-    for (const album of artistAlbums) {
-      const albumWords = extractTitleWords(album.title);
-      let score = 0;
-
-      // For short album titles (1-2 words after extraction, or titles like "L.W.", "K.G.")
-      // Use normalized substring matching instead
-      const albumTitleNormalized = album.title.toLowerCase().replace(/[^a-z0-9]/g, '');
-
-      if (albumWords.length <= 1 || album.title.length <= 4) {
-        // Short title: check if normalized album title appears in normalized job name
-        if (albumTitleNormalized.length >= 2 && jobNameNormalized.includes(albumTitleNormalized)) {
-          score = 1.0; // Perfect match for short titles
-        }
-      } else {
-        // Normal word-based matching for longer titles
-        let matchingWords = 0;
-        for (const word of albumWords) {
-          if (jobWords.includes(word)) {
-            matchingWords++;
-          }
-        }
-        score = albumWords.length > 0 ? matchingWords / albumWords.length : 0;
-      }
+        now,
+        bookFilePath,
+        part,
+        partCount
+      );
 
-      if (score > bestScore) {
-        bestScore = score;
-        bestMatch = album;
-      }
-    }
+      const bookFileId = result.lastInsertRowid;
+      log(this.name, `Inserted BookFile with ID ${bookFileId} (edition ${edition.Id})`);
 
-    // Require at least 50% of album title words to match
-    if (bestScore >= 0.5) {
-      return { match: bestMatch, score: bestScore };
+      metrics.inc('registrations_total', { monitor: this.name, result: 'created' });
+      this.recordRegistration(bookFilePath, `book:${book.id}`, bookFileId);
+      return { id: bookFileId };
+    } catch (error) {
+      log(this.name, `Error registering book file via DB: ${error.message}`);
+      return null;
     }
-
-    return { match: null, score: 0 };
   }
 
-  async processHistory(nzbdavHistory) {
-    const allArtists = await this.getAllArtists();
-    const allAlbums = await this.getAllAlbums();
-
-    for (const historyItem of nzbdavHistory) {
-      const jobName = historyItem.job_name || historyItem.name || '';
-      const category = (historyItem.category || historyItem.Category || '').toLowerCase();
+  async refreshAuthor(authorId) {
+    if (!authorId) return;
+    try {
+      await this.axios.post(`/api/${this.apiVersion}/command`, {
+        name: 'RefreshAuthor',
+        authorId: authorId
+      });
+      log(this.name, `Triggered refresh for author ${authorId}`);
+    } catch (error) {
+      log(this.name, `Failed to trigger author refresh: ${error.message}`);
+    }
+  }
 
-      // Only process configured categories
-      if (!this.config.categories.some(cat => category.includes(cat))) continue;
+  async processHistory(nzbdavHistory, { force = false, fullPoll = false } = {}) {
+    // Only configured categories, skipping slots already handled on earlier polls
+    const pendingHistory = this.filterPendingHistory(nzbdavHistory, { force, fullPoll });
+    if (pendingHistory.length === 0) return;
 
-      // Match artist first, then album within that artist
-      const { match: album, score: albumScore } = this.findBestAlbumMatch(jobName, allAlbums, allArtists);
+    const allAuthors = await this.getAllAuthors();
+    const allBooks = await this.getAllBooks();
+    const grabIndex = await this.buildGrabIndex();
 
-      if (!album) {
-        // Fall back to artist-only matching for logging
-        const { match: artist, score: artistScore } = findBestMatch(
-          jobName,
-          null,
-          allArtists,
-          a => a.artistName,
-          null
-        );
+    for (const historyItem of pendingHistory) {
+      const jobName = historyItem.job_name || historyItem.name || '';
 
-        if (!artist) {
-          log(this.name, `No matching artist/album found for: ${jobName}`);
-          continue;
-        }
+      const { book, method, strategy } = this.matchBook(historyItem, jobName, allBooks, allAuthors, grabIndex);
 
-        log(this.name, `Matched "${jobName}" to artist "${artist.artistName}" (score: ${artistScore.toFixed(2)}) - no specific album match`);
+      if (!book) {
+        log(this.name, `No matching author/book found for: ${jobName}`);
+        this.recordOutcome(historyItem, 'unmatched');
         continue;
       }
 
-      log(this.name, `Matched "${jobName}" to album "${album.title}" by "${album.artist?.artistName}" (score: ${albumScore.toFixed(2)})`);
+      const authorName = book.author?.authorName || allAuthors.find(a => a.id === book.authorId)?.authorName;
+      log(this.name, `Matched "${jobName}" to book "${book.title}" by "${authorName}" (${strategy})`);
+      metrics.inc('matches_total', { monitor: this.name, strategy: method });
 
-      // Skip unmonitored albums - don't trigger searches or register files
-      if (!album.monitored) {
-        log(this.name, `Skipping unmonitored album: ${album.title}`);
+      // Skip unmonitored books - don't trigger searches or register files
+      if (!book.monitored) {
+        log(this.name, `Skipping unmonitored book: ${book.title}`);
+        this.recordOutcome(historyItem, 'unmonitored', `book:${book.id}`);
         continue;
       }
 
-      // Check if album already has all tracks with files
-      const tracks = await this.getAlbumTracks(album.id);
-      const tracksWithoutFiles = tracks.filter(t => !t.hasFile);
-
-      if (tracksWithoutFiles.length === 0) {
-        continue; // All tracks already have files
+      if (book.statistics?.bookFileCount > 0) {
+        this.recordOutcome(historyItem, 'has_file', `book:${book.id}`);
+        continue;
       }
 
-      // Find the download directory
+      // Find the download directory, falling back to numbered versions
       const downloadPath = path.join(this.config.mountPath, jobName);
       let actualDownloadPath = downloadPath;
+      let bookFiles = this.getBookFiles(downloadPath);
 
-      // Check for actual files
-      if (!fs.existsSync(downloadPath) || !this.hasAudioFiles(downloadPath)) {
-        // Try numbered versions
-        const numberedPath = this.findNumberedVersion(downloadPath, jobName);
+      if (bookFiles.length === 0) {
+        const numberedPath = this.findNumberedVersion(downloadPath, jobName, dirPath => this.getBookFiles(dirPath).length > 0);
         if (numberedPath) {
           actualDownloadPath = numberedPath;
-        } else {
-          log(this.name, `No audio files found for album "${album.title}" - download appears incomplete`);
-          await this.triggerSearchForIncompleteDownload(album, jobName);
-          continue;
+          bookFiles = this.getBookFiles(numberedPath);
         }
       }
 
-      const audioFiles = this.getAudioFiles(actualDownloadPath);
-      if (audioFiles.length === 0) {
-        log(this.name, `No audio files found in ${actualDownloadPath}`);
-        await this.triggerSearchForIncompleteDownload(album, jobName);
+      const { type, files } = this.selectBookFiles(bookFiles);
+      if (files.length === 0) {
+        log(this.name, `No book files found for "${book.title}" - download appears incomplete`);
+        this.recordOutcome(historyItem, 'incomplete', `book:${book.id}`);
+        await this.triggerSearchForIncompleteDownload(book, jobName, historyItem);
         continue;
       }
 
-      log(this.name, `Found ${audioFiles.length} audio files for album "${album.title}" (${tracksWithoutFiles.length} tracks need files)`);
+      log(this.name, `Found ${type} for "${book.title}": ${files.length} file(s) in ${actualDownloadPath}`);
 
-      // Match audio files to tracks
       let registeredCount = 0;
-
-      for (const audioFile of audioFiles) {
-        const trackNumber = this.parseTrackNumber(path.basename(audioFile));
-        if (!trackNumber) {
-          log(this.name, `Could not parse track number from: ${audioFile}`);
-          continue;
-        }
-
-        // Find matching track
-        const track = tracksWithoutFiles.find(t => {
-          const absoluteNum = t.absoluteTrackNumber;
-          const trackNum = parseInt(t.trackNumber) || t.absoluteTrackNumber;
-          return absoluteNum === trackNumber || trackNum === trackNumber;
-        });
-
-        if (!track) {
-          continue; // Track already has file or doesn't exist in Lidarr
-        }
-
-        const fullPath = path.join(actualDownloadPath, audioFile);
-        log(this.name, `Registering track ${trackNumber}: ${audioFile}`);
+      for (let i = 0; i < files.length; i++) {
+        const fullPath = path.join(actualDownloadPath, files[i]);
 
         if (!CONFIG.dryRun) {
-          const registered = await this.registerTrackFile(fullPath, album.id, track);
+          const registered = await this.registerBookFile(fullPath, book, i + 1, files.length);
           if (registered) {
             registeredCount++;
           }
@@ -1623,29 +5238,22 @@ class LidarrMonitor extends ArrClient {
         }
       }
 
+      this.recordOutcome(historyItem, registeredCount > 0 ? 'registered' : 'unmatched', `book:${book.id}`);
+
       if (registeredCount > 0) {
-        log(this.name, `✅ Registered ${registeredCount} tracks for album "${album.title}"`);
-        // Clear any failed queue entries for this album
-        await this.clearFailedQueueEntries(item => item.albumId === album.id);
-        // Trigger artist refresh to update Lidarr UI immediately
-        await this.refreshArtist(album.artist?.artistMetadataId || album.artistId);
+        log(this.name, `✅ Registered ${registeredCount} file(s) for book "${book.title}"`);
+        if (!CONFIG.dryRun) {
+          notify('registered', this.name, `${authorName} - ${book.title} (${type})`);
+          requestMediaScan(actualDownloadPath);
+        }
+        // Clear any failed queue entries for this book
+        await this.clearFailedQueueEntries(item => item.bookId === book.id);
+        // Trigger author refresh to update Readarr UI immediately
+        await this.refreshAuthor(book.authorId);
       }
     }
   }
 
-  async refreshArtist(artistId) {
-    if (!artistId) return;
-    try {
-      await this.axios.post(`/api/${this.apiVersion}/command`, {
-        name: 'RefreshArtist',
-        artistId: artistId
-      });
-      log(this.name, `Triggered refresh for artist ${artistId}`);
-    } catch (error) {
-      log(this.name, `Failed to trigger artist refresh: ${error.message}`);
-    }
-  }
-
   async cleanupStaleFiles() {
     // Skip during startup grace period to allow VFS cache to populate
     if (isInStartupGracePeriod()) {
@@ -1667,39 +5275,42 @@ class LidarrMonitor extends ArrClient {
       return 0;
     }
 
-    log(this.name, 'Checking for stale track files...');
+    log(this.name, 'Checking for stale book files...');
     let cleanedCount = 0;
-    const artistsToRefresh = new Set();
-    const albumsToSearch = new Set();
+    const authorsToRefresh = new Set();
+    const booksToSearch = new Set();
 
     try {
-      // Get all track files with their album and artist info
-      const trackFiles = db.prepare(`
-        SELECT tf.Id, tf.AlbumId, tf.Path, a.Title as AlbumTitle, a.Monitored as AlbumMonitored, am.Name as ArtistName, a.ArtistMetadataId
-        FROM TrackFiles tf
-        JOIN Albums a ON a.Id = tf.AlbumId
-        JOIN ArtistMetadata am ON am.Id = a.ArtistMetadataId
-        WHERE tf.Path LIKE ?
+      // Get all book files with their book and author info
+      const bookFiles = db.prepare(`
+        SELECT bf.Id, bf.Path, b.Id as BookId, b.Title as BookTitle, b.Monitored as BookMonitored,
+               am.Name as AuthorName, au.Id as AuthorId
+        FROM BookFiles bf
+        JOIN Editions e ON e.Id = bf.EditionId
+        JOIN Books b ON b.Id = e.BookId
+        JOIN AuthorMetadata am ON am.Id = b.AuthorMetadataId
+        LEFT JOIN Authors au ON au.AuthorMetadataId = b.AuthorMetadataId
+        WHERE bf.Path LIKE ?
       `).all(this.config.mountPath + '%');
 
-      for (const tf of trackFiles) {
+      for (const bf of bookFiles) {
         // Check if file exists on disk
-        if (!fs.existsSync(tf.Path)) {
-          log(this.name, `Stale file detected: "${tf.ArtistName}" - "${tf.AlbumTitle}" - ${path.basename(tf.Path)}`);
+        if (!fs.existsSync(bf.Path)) {
+          log(this.name, `Stale file detected: "${bf.AuthorName}" - "${bf.BookTitle}" - ${path.basename(bf.Path)}`);
 
           if (!CONFIG.dryRun) {
-            // Unlink tracks from this file
-            db.prepare('UPDATE Tracks SET TrackFileId = 0 WHERE TrackFileId = ?').run(tf.Id);
-            // Delete the track file record
-            db.prepare('DELETE FROM TrackFiles WHERE Id = ?').run(tf.Id);
-            log(this.name, `Deleted stale track file record ID ${tf.Id}`);
-
-            artistsToRefresh.add(tf.ArtistMetadataId);
-            // Only search for monitored albums
-            if (tf.AlbumMonitored) {
-              albumsToSearch.add(tf.AlbumId);
+            // Delete the book file record
+            db.prepare('DELETE FROM BookFiles WHERE Id = ?').run(bf.Id);
+            log(this.name, `Deleted stale book file record ID ${bf.Id}`);
+            notify('stale_removed', this.name, `${bf.AuthorName} - ${bf.BookTitle} - ${path.basename(bf.Path)}`);
+            requestMediaScan(bf.Path, 'Deleted');
+
+            if (bf.AuthorId) authorsToRefresh.add(bf.AuthorId);
+            // Only search for monitored books
+            if (bf.BookMonitored) {
+              booksToSearch.add(bf.BookId);
             } else {
-              log(this.name, `Skipping search for unmonitored album: ${tf.AlbumTitle}`);
+              log(this.name, `Skipping search for unmonitored book: ${bf.BookTitle}`);
             }
             cleanedCount++;
           } else {
@@ -1709,20 +5320,24 @@ class LidarrMonitor extends ArrClient {
         }
       }
 
-      // Refresh affected artists to update UI
-      for (const artistMetadataId of artistsToRefresh) {
-        await this.refreshArtist(artistMetadataId);
+      // Refresh affected authors to update UI
+      for (const authorId of authorsToRefresh) {
+        await this.refreshAuthor(authorId);
       }
 
-      // Trigger searches for affected albums
-      if (albumsToSearch.size > 0) {
-        const albumIds = Array.from(albumsToSearch);
-        await this.triggerCommand({ name: 'AlbumSearch', albumIds });
-        log(this.name, `Triggered search for ${albumIds.length} album(s)`);
+      // Trigger searches for affected books
+      if (booksToSearch.size > 0) {
+        const bookIds = Array.from(booksToSearch);
+        const searched = await this.triggerCommand({ name: 'BookSearch', bookIds });
+        this.countSearch(searched ? 'triggered' : 'failed', bookIds.length);
+        if (searched) {
+          notify('search_triggered', this.name, `${bookIds.length} book(s) after stale cleanup`);
+        }
+        log(this.name, `Triggered search for ${bookIds.length} book(s)`);
       }
 
       if (cleanedCount > 0) {
-        log(this.name, `🧹 Cleaned up ${cleanedCount} stale track files`);
+        log(this.name, `🧹 Cleaned up ${cleanedCount} stale book files`);
       }
     } catch (error) {
       log(this.name, `Error during stale file cleanup: ${error.message}`);
@@ -1732,18 +5347,294 @@ class LidarrMonitor extends ArrClient {
   }
 }
 
+// Delays between history lookups when a webhook arrives before the download has completed
+const WEBHOOK_RETRY_DELAYS_MS = [15000, 60000, 180000];
+
+// Read a request body as JSON or form/query-string parameters (capped at 1MB)
+function readRequestBody(req) {
+  return new Promise((resolve, reject) => {
+    let data = '';
+    req.on('data', chunk => {
+      data += chunk;
+      if (data.length > 1024 * 1024) {
+        reject(new Error('Request body too large'));
+        req.destroy();
+      }
+    });
+    req.on('end', () => {
+      if (!data) return resolve({});
+      try {
+        if ((req.headers['content-type'] || '').includes('application/json')) {
+          resolve(JSON.parse(data));
+        } else {
+          resolve(Object.fromEntries(new URLSearchParams(data)));
+        }
+      } catch (error) {
+        reject(new Error(`Invalid request body: ${error.message}`));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+// Constant-time string comparison for shared secrets
+function secretsMatch(candidate, secret) {
+  const a = Buffer.from(String(candidate));
+  const b = Buffer.from(secret);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+// Accept the shared secret as ?secret=, an X-Webhook-Secret header, or the Basic auth password
+// (the *arr webhook connection only offers username/password fields)
+function isWebhookAuthorized(req, url) {
+  const secret = CONFIG.webhook.secret;
+  if (!secret) return true;
+
+  const candidates = [url.searchParams.get('secret'), req.headers['x-webhook-secret']];
+  const authorization = req.headers.authorization || '';
+  if (authorization.startsWith('Basic ')) {
+    const decoded = Buffer.from(authorization.slice(6), 'base64').toString();
+    candidates.push(decoded.slice(decoded.indexOf(':') + 1));
+  }
+
+  return candidates.some(candidate => candidate && secretsMatch(candidate, secret));
+}
+
+// Minimal HTTP server. Routes map a path to an async handler returning { status, body }.
+function startHttpServer(port, routes) {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = routes.find(r => r.match(url.pathname));
+
+    let status = 404;
+    let body = { error: 'Not found' };
+
+    if (route) {
+      try {
+        ({ status, body } = await route.handler(req, url));
+      } catch (error) {
+        log('HTTP', `Error handling ${req.method} ${url.pathname}: ${error.message}`);
+        status = 500;
+        body = { error: error.message };
+      }
+    }
+
+    const isText = typeof body === 'string';
+    res.writeHead(status, { 'Content-Type': isText ? 'text/plain; charset=utf-8' : 'application/json' });
+    res.end(isText ? body : JSON.stringify(body));
+  });
+
+  server.on('error', error => log('HTTP', `Server error: ${error.message}`));
+  server.listen(port, () => log('HTTP', `Listening on port ${port}`));
+  return server;
+}
+
+// Webhook routes: *arr "On Grab"/"On Download Failed" payloads at /webhook/<monitor name>
+// and a SABnzbd-style post-processing callback from NzbDAV at /webhook/nzbdav
+function createWebhookRoutes(monitors, runExclusive) {
+  // Process one download straight away, retrying while NzbDAV hasn't completed it yet
+  async function processDownload(downloadId, targetMonitors, { force, fallbackSlot = null, attempt = 0 }) {
+    const histories = new Map(); // Fetch each monitor's history source once
+    const waiting = [];
+
+    for (const monitor of targetMonitors) {
+      const source = monitor.historySource;
+      if (!histories.has(source)) {
+        histories.set(source, await source.fetchHistory() || []);
+      }
+      const slot = histories.get(source).find(item => getSlotDownloadId(item) === downloadId) || fallbackSlot;
+
+      if (!slot) {
+        waiting.push(monitor);
+        continue;
+      }
+
+      try {
+        await monitor.processHistory([slot], { force });
+        await monitor.handleFailedDownloads([slot], { force });
+      } catch (error) {
+        log(monitor.name, `Error processing webhook download: ${error.message}`);
+      }
+    }
+
+    if (waiting.length === 0) return;
+
+    if (attempt < WEBHOOK_RETRY_DELAYS_MS.length) {
+      const delayMs = WEBHOOK_RETRY_DELAYS_MS[attempt];
+      log('Webhook', `Download ${downloadId} not completed in history yet - retrying in ${delayMs / 1000}s`);
+      setTimeout(() => runExclusive(() =>
+        processDownload(downloadId, waiting, { force, fallbackSlot, attempt: attempt + 1 })
+      ), delayMs);
+    } else {
+      log('Webhook', `Download ${downloadId} still not completed - leaving it to the next poll`);
+    }
+  }
+
+  function queueDownload(downloadId, targetMonitors, options) {
+    runExclusive(() => processDownload(downloadId, targetMonitors, options));
+  }
+
+  async function handleArrWebhook(req, url) {
+    if (req.method !== 'POST') return { status: 405, body: { error: 'Method not allowed' } };
+    if (!isWebhookAuthorized(req, url)) return { status: 401, body: { error: 'Unauthorized' } };
+
+    const monitorName = decodeURIComponent(url.pathname.split('/')[2] || '').toLowerCase();
+    const monitor = monitors.find(m => m.name.toLowerCase() === monitorName);
+    if (!monitor) return { status: 404, body: { error: `No enabled monitor named "${monitorName}"` } };
+
+    const payload = await readRequestBody(req);
+    const eventType = payload.eventType || '';
+
+    if (eventType === 'Test') {
+      log(monitor.name, 'Received test webhook');
+      return { status: 200, body: { status: 'ok' } };
+    }
+
+    if (eventType !== 'Grab' && eventType !== 'DownloadFailed') {
+      return { status: 202, body: { status: 'ignored', eventType } };
+    }
+
+    const downloadId = normalizeDownloadId(payload.downloadId);
+    if (!downloadId) return { status: 400, body: { error: 'Payload has no downloadId' } };
+
+    const releaseTitle = payload.release?.releaseTitle || payload.sourceTitle || downloadId;
+    log(monitor.name, `Webhook ${eventType}: ${releaseTitle} (${downloadId})`);
+
+    // A failed download changed state on the *arr side, so bypass the incremental skip
+    queueDownload(downloadId, [monitor], { force: eventType === 'DownloadFailed' });
+    return { status: 202, body: { status: 'queued', downloadId } };
+  }
+
+  async function handleNzbdavCallback(req, url) {
+    if (!isWebhookAuthorized(req, url)) return { status: 401, body: { error: 'Unauthorized' } };
+
+    // Accept SABnzbd names (nzo_id, name, cat, status) and their SAB_* script variable forms
+    const params = { ...Object.fromEntries(url.searchParams), ...(await readRequestBody(req)) };
+    const param = (...keys) => {
+      for (const key of keys) {
+        if (params[key] !== undefined && params[key] !== '') return String(params[key]);
+      }
+      return '';
+    };
+
+    const downloadId = normalizeDownloadId(param('nzo_id', 'SAB_NZO_ID'));
+    const jobName = param('name', 'job_name', 'SAB_FINAL_NAME', 'SAB_FILENAME');
+    const category = param('category', 'cat', 'SAB_CAT');
+    const status = param('status', 'SAB_PP_STATUS').toLowerCase();
+
+    if (!downloadId) return { status: 400, body: { error: 'Missing nzo_id' } };
+
+    // SABnzbd reports post-processing status as 0 (success) or a failure code
+    const completed = !status || status === '0' || status === 'completed';
+    log('Webhook', `NzbDAV callback: ${jobName || downloadId} (${completed ? 'completed' : `status ${status}`})`);
+
+    if (!completed && !CONFIG.markFailedDownloads) {
+      return { status: 202, body: { status: 'ignored', reason: 'Download did not complete' } };
+    }
+
+    // Fall back to the callback's own fields if history doesn't list the slot yet
+    const fallbackSlot = jobName && category
+      ? {
+        nzo_id: downloadId,
+        job_name: jobName,
+        category,
+        status: completed ? 'Completed' : 'Failed',
+        completed: Math.floor(Date.now() / 1000)
+      }
+      : null;
+
+    queueDownload(downloadId, monitors, { force: true, fallbackSlot });
+    return { status: 202, body: { status: 'queued', downloadId } };
+  }
+
+  return [
+    { match: pathname => pathname === '/webhook/nzbdav', handler: handleNzbdavCallback },
+    { match: pathname => /^\/webhook\/[^/]+$/.test(pathname), handler: handleArrWebhook }
+  ];
+}
+
+// Liveness and readiness endpoints for container healthchecks and uptime monitors
+function createHealthRoutes(monitors) {
+  const toIso = timestamp => timestamp ? new Date(timestamp).toISOString() : null;
+
+  // Alive as long as the poll loop keeps running
+  async function handleHealthz() {
+    const staleAfterMs = Math.max(CONFIG.pollInterval * 3, 5 * 60 * 1000);
+    const lastActivity = serviceStatus.lastPollAt || SERVICE_START_TIME;
+    const alive = Date.now() - lastActivity < staleAfterMs;
+
+    return {
+      status: alive ? 200 : 503,
+      body: {
+        status: alive ? 'ok' : 'stalled',
+        uptimeSeconds: Math.floor((Date.now() - SERVICE_START_TIME) / 1000),
+        lastPoll: toIso(serviceStatus.lastPollAt),
+        lastSuccessfulPoll: toIso(serviceStatus.lastSuccessfulPollAt)
+      }
+    };
+  }
+
+  // Ready when every history source answered the last poll and every monitor's mount, API and database are usable.
+  // Checks list the mount and call every *arr, so results are shared for a few seconds between
+  // probes (and between concurrent ones) instead of redone on every healthcheck.
+  const READYZ_CACHE_MS = 5000;
+  let readyzCache = null;
+  function handleReadyz() {
+    if (!readyzCache || Date.now() - readyzCache.at > READYZ_CACHE_MS) {
+      readyzCache = { at: Date.now(), result: checkReadiness() };
+      readyzCache.result.catch(() => {
+        readyzCache = null;
+      });
+    }
+    return readyzCache.result;
+  }
+
+  async function checkReadiness() {
+    const monitorHealth = {};
+    const sourceHealth = {};
+    for (const monitor of monitors) {
+      monitorHealth[monitor.name] = await monitor.getHealth();
+      const source = monitor.historySource;
+      sourceHealth[source.name] = { reachable: source.reachable, error: source.error };
+    }
+
+    const ready = Object.values(sourceHealth).every(s => s.reachable === true) &&
+      Object.values(monitorHealth).every(h => h.ready);
+
+    return {
+      status: ready ? 200 : 503,
+      body: {
+        status: ready ? 'ready' : 'not_ready',
+        startupGracePeriod: isInStartupGracePeriod(),
+        lastPoll: toIso(serviceStatus.lastPollAt),
+        lastSuccessfulPoll: toIso(serviceStatus.lastSuccessfulPollAt),
+        lastPollError: serviceStatus.lastPollError,
+        historySources: sourceHealth,
+        monitors: monitorHealth
+      }
+    };
+  }
+
+  return [
+    { match: pathname => pathname === '/healthz', handler: handleHealthz },
+    { match: pathname => pathname === '/readyz', handler: handleReadyz }
+  ];
+}
+
 // Main monitoring loop
 async function monitorAll() {
   const monitors = [];
 
-  if (CONFIG.radarr.enabled) {
-    monitors.push(new RadarrMonitor('Radarr', CONFIG.radarr));
-  }
-  if (CONFIG.sonarr.enabled) {
-    monitors.push(new SonarrMonitor('Sonarr', CONFIG.sonarr));
-  }
-  if (CONFIG.lidarr.enabled) {
-    monitors.push(new LidarrMonitor('Lidarr', CONFIG.lidarr, 'v1'));
+  const instanceTypes = [
+    [CONFIG.radarr, RadarrMonitor, 'v3'],
+    [CONFIG.sonarr, SonarrMonitor, 'v3'],
+    [CONFIG.lidarr, LidarrMonitor, 'v1'],
+    [CONFIG.readarr, ReadarrMonitor, 'v1']
+  ];
+  for (const [instances, MonitorClass, apiVersion] of instanceTypes) {
+    for (const instance of instances.filter(i => i.enabled)) {
+      monitors.push(new MonitorClass(instance.name, instance, apiVersion));
+    }
   }
 
   if (monitors.length === 0) {
@@ -1751,33 +5642,124 @@ async function monitorAll() {
     process.exit(1);
   }
 
-  if (!CONFIG.nzbdav.url || !CONFIG.nzbdav.apiKey) {
+  // Instance names key state, metrics and webhook routes, so they must be unique
+  const names = monitors.map(m => m.name.toLowerCase());
+  const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+  if (duplicates.length > 0) {
+    log('Main', `Duplicate instance names: ${[...new Set(duplicates)].join(', ')}`);
+    process.exit(1);
+  }
+
+  for (const monitor of monitors) {
+    if (!monitor.config.url || !monitor.config.apiKey) {
+      log('Main', `${monitor.name} URL and API key are required!`);
+      process.exit(1);
+    }
+    for (const sibling of monitors) {
+      if (sibling !== monitor && sibling.constructor === monitor.constructor) {
+        sibling.config.categories.forEach(cat => monitor.siblingCategories.add(cat));
+      }
+    }
+  }
+
+  const sourceTypes = new Set(monitors.map(m => m.config.historySource));
+  for (const type of sourceTypes) {
+    if (!HISTORY_SOURCE_TYPES.includes(type)) {
+      log('Main', `Unknown history source "${type}" (expected one of: ${HISTORY_SOURCE_TYPES.join(', ')})`);
+      process.exit(1);
+    }
+  }
+  if (sourceTypes.has('nzbdav') && (!CONFIG.nzbdav.url || !CONFIG.nzbdav.apiKey)) {
     log('Main', 'NzbDAV URL and API key are required!');
     process.exit(1);
   }
+  if (sourceTypes.has('sabnzbd') && (!CONFIG.sabnzbd.url || !CONFIG.sabnzbd.apiKey)) {
+    log('Main', 'SABnzbd URL and API key are required!');
+    process.exit(1);
+  }
+  if (sourceTypes.has('nzbget') && !CONFIG.nzbget.url) {
+    log('Main', 'NZBGet URL is required!');
+    process.exit(1);
+  }
 
   log('Main', `Starting monitors: ${monitors.map(m => m.name).join(', ')}`);
-  log('Main', `NzbDAV URL: ${CONFIG.nzbdav.url}`);
+  for (const monitor of monitors) {
+    const dbInfo = monitor.config.dbPath ? `, database: ${monitor.config.dbPath}` : '';
+    log(monitor.name, `URL: ${monitor.config.url}, mount: ${monitor.config.mountPath}, categories: ${monitor.config.categories.join(', ')}${dbInfo}, history: ${monitor.historySource.name}`);
+  }
+  if (sourceTypes.has('nzbdav')) log('Main', `NzbDAV URL: ${CONFIG.nzbdav.url}`);
+  if (sourceTypes.has('sabnzbd')) log('Main', `SABnzbd URL: ${CONFIG.sabnzbd.url}`);
+  if (sourceTypes.has('nzbget')) log('Main', `NZBGet URL: ${CONFIG.nzbget.url}`);
   log('Main', `Poll interval: ${CONFIG.pollInterval / 1000}s`);
   log('Main', `Search cooldown: ${CONFIG.searchCooldownMs / 60000} minutes`);
   log('Main', `Startup grace period: ${CONFIG.startupGracePeriodMs / 60000} minutes (stale cleanup delayed)`);
+  log('Main', `State database: ${CONFIG.state.dbPath} (retention: ${CONFIG.state.retentionMs / 86400000} days)`);
+  log('Main', `Metrics: ${CONFIG.metrics.enabled ? `enabled on port ${CONFIG.http.port} (/metrics)` : 'disabled'}`);
+  log('Main', `Health endpoints: ${CONFIG.health.enabled ? `enabled on port ${CONFIG.http.port} (/healthz, /readyz)` : 'disabled'}`);
+  log('Main', `Media server scans: ${mediaServers.length > 0 ? mediaServers.map(m => m.name).join(', ') : 'none'}`);
+  log('Main', `Notifications: ${notifiers.length > 0 ? notifiers.map(n => n.name).join(', ') : 'none'}`);
+  log('Main', `Webhooks: ${CONFIG.webhook.enabled ? `enabled on port ${CONFIG.http.port}${CONFIG.webhook.secret ? ' (secret required)' : ''}` : 'disabled'}`);
+  log('Main', `Mark failed downloads: ${CONFIG.markFailedDownloads}`);
   log('Main', `Dry run: ${CONFIG.dryRun}`);
 
+  try {
+    state.prune();
+  } catch (error) {
+    log('State', `Error pruning state: ${error.message}`);
+  }
+
+  // Polls and webhook-triggered runs share one queue so a release is never processed twice at once
+  let taskQueue = Promise.resolve();
+  function runExclusive(task) {
+    const run = taskQueue.then(task).catch(error => log('Main', `Error in queued task: ${error.message}`));
+    taskQueue = run;
+    return run;
+  }
+
   let lastStaleCleanup = 0;
   const staleCleanupIntervalMs = 60 * 60 * 1000; // Run stale file cleanup every hour
 
   async function poll() {
-    // Fetch NzbDAV history once
-    const nzbdavHistory = await fetchNzbdavHistory();
-    log('Main', `Found ${nzbdavHistory.length} completed downloads in NzbDAV history`);
+    serviceStatus.lastPollAt = Date.now();
+    let pollError = null;
+
+    // Fetch each history source once
+    const histories = new Map();
+    for (const source of new Set(monitors.map(m => m.historySource))) {
+      const history = await source.fetchHistory({ windowed: true });
+      histories.set(source, history);
+      if (history) {
+        const window = CONFIG.historySinceLastPoll ? ' since the last poll' : '';
+        const failedCount = history.filter(slot => getSlotStatus(slot) === 'failed').length;
+        const failed = failedCount > 0 ? ` (+${failedCount} failed)` : '';
+        log('Main', `Found ${history.length - failedCount} completed downloads${failed} in ${source.name} history${window}`);
+      } else {
+        pollError = `${source.name}: ${source.error}`;
+      }
+    }
 
     // Process history with each monitor
     for (const monitor of monitors) {
+      if (!histories.get(monitor.historySource)) {
+        log(monitor.name, `Skipping history processing - ${monitor.historySource.name} history unavailable`);
+        continue;
+      }
+
+      const startedAt = Date.now();
       try {
-        await monitor.processHistory(nzbdavHistory);
+        await monitor.processHistory(histories.get(monitor.historySource), { fullPoll: true });
+        await monitor.handleFailedDownloads(histories.get(monitor.historySource));
       } catch (error) {
         log(monitor.name, `Error in monitor: ${error.message}`);
+        pollError = `${monitor.name}: ${error.message}`;
       }
+      metrics.inc('polls_total', { monitor: monitor.name });
+      metrics.set('poll_duration_seconds', { monitor: monitor.name }, (Date.now() - startedAt) / 1000);
+    }
+
+    serviceStatus.lastPollError = pollError;
+    if (!pollError) {
+      serviceStatus.lastSuccessfulPollAt = Date.now();
     }
 
     // Run stale file cleanup periodically (every hour)
@@ -1787,21 +5769,53 @@ async function monitorAll() {
       for (const monitor of monitors) {
         try {
           if (monitor.cleanupStaleFiles) {
-            await monitor.cleanupStaleFiles();
+            const cleaned = await monitor.cleanupStaleFiles();
+            metrics.inc('stale_files_cleaned_total', { monitor: monitor.name }, cleaned || 0);
           }
         } catch (error) {
           log(monitor.name, `Error in stale file cleanup: ${error.message}`);
         }
       }
       lastStaleCleanup = now;
+
+      try {
+        state.prune();
+      } catch (error) {
+        log('State', `Error pruning state: ${error.message}`);
+      }
     }
   }
 
-  // Initial poll
-  await poll();
+  const routes = [];
+  if (CONFIG.metrics.enabled) {
+    routes.push({ match: pathname => pathname === '/metrics', handler: async () => ({ status: 200, body: metrics.render() }) });
+  }
+  if (CONFIG.health.enabled) {
+    routes.push(...createHealthRoutes(monitors));
+  }
+  if (CONFIG.webhook.enabled) {
+    routes.push(...createWebhookRoutes(monitors, runExclusive));
+  }
+  if (routes.length > 0) {
+    startHttpServer(CONFIG.http.port, routes);
+  }
 
-  // Schedule recurring polls
-  setInterval(poll, CONFIG.pollInterval);
+  // Initial poll
+  await runExclusive(poll);
+
+  // Schedule recurring polls (still the safety net when webhooks are enabled). A poll that is
+  // still running or waiting in the queue covers the tick, so slow polls don't pile up.
+  let pollPending = false;
+  setInterval(() => {
+    if (pollPending) {
+      log('Main', 'Previous poll still running - skipping this interval');
+      return;
+    }
+    pollPending = true;
+    runExclusive(poll).finally(() => {
+      pollPending = false;
+    });
+  }, CONFIG.pollInterval);
 }
 
 // Start the service